@@ -0,0 +1,84 @@
+// asymmetry.js
+// Bilateral asymmetry for one exercise session (a SessionStore record): how far the left and right
+// sides are apart, from the session's calibration snapshot and its per-rep side metrics.
+// Clinicians follow these as recovery markers, so history.html shows them per session with a trend
+// arrow against the previous session of the same exercise.
+//
+//   reachDiffPct      mean peak height above neutral, left − right (% of frame; + = left higher)
+//   angleDiffDeg      mean peak abduction angle, left − right (degrees)
+//   popRatio          median time to pop, left / right (> 1 = left slower)
+//   resetRatio        median reset time, left / right (> 1 = left slower)
+//   calibReachDiffPct calibrated max reach, left − right (% of frame; + = left higher)
+//   calibAngleDiffDeg calibrated max abduction angle, left − right (degrees)
+//
+// A metric is null when either side has no data (one-sided sessions, feedback-counted exercises).
+
+(function () {
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const median = (xs) => {
+    const s = xs.filter(isNum).sort((a, b) => a - b), m = s.length >> 1;
+    return !s.length ? null : s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  };
+  const mean = (xs) => { const v = xs.filter(isNum); return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null; };
+  const diff = (a, b, scale = 1) => (isNum(a) && isNum(b) ? +((a - b) * scale).toFixed(2) : null);
+  const ratio = (a, b) => (isNum(a) && isNum(b) && a > 0 && b > 0 ? +(a / b).toFixed(3) : null);
+
+  // How big an asymmetry is, for trends: differences by magnitude, ratios by distance from 1 (log scale
+  // so 2× slower on either side counts the same). `steady` is the change that still reads as no change.
+  const METRICS = {
+    reachDiffPct: { label: "Reach L − R", unit: "%", size: Math.abs, steady: 1 },
+    angleDiffDeg: { label: "Angle L − R", unit: "°", size: Math.abs, steady: 2 },
+    popRatio: { label: "Pop time L / R", unit: "×", size: (v) => Math.abs(Math.log(v)), steady: 0.05 },
+    resetRatio: { label: "Reset time L / R", unit: "×", size: (v) => Math.abs(Math.log(v)), steady: 0.05 },
+    calibReachDiffPct: { label: "Calibrated reach L − R", unit: "%", size: Math.abs, steady: 1 },
+    calibAngleDiffDeg: { label: "Calibrated angle L − R", unit: "°", size: Math.abs, steady: 2 }
+  };
+
+  const Asymmetry = {
+    METRICS,
+
+    // { reachDiffPct, angleDiffDeg, popRatio, resetRatio, calibReachDiffPct, calibAngleDiffDeg }
+    fromSession(session) {
+      const reps = session?.reps || [], c = session?.calib || {};
+      const side = (s, k) => reps.map((r) => r[s]?.[k]);
+      return {
+        reachDiffPct: diff(mean(side("left", "aboveNeutral")), mean(side("right", "aboveNeutral")), 100),
+        angleDiffDeg: diff(mean(side("left", "peakDeg")), mean(side("right", "peakDeg"))),
+        popRatio: ratio(median(side("left", "timeToPopMs")), median(side("right", "timeToPopMs"))),
+        resetRatio: ratio(median(side("left", "resetMs")), median(side("right", "resetMs"))),
+        // smaller y is higher, so right − left is "left higher"
+        calibReachDiffPct: diff(c.maxReachRightY, c.maxReachLeftY, 100),
+        calibAngleDiffDeg: diff(c.maxAngleLeft, c.maxAngleRight)
+      };
+    },
+
+    // "better" (asymmetry shrank), "worse", "steady", or null when either value is missing.
+    trend(key, current, previous) {
+      const m = METRICS[key];
+      if (!m || !isNum(current) || !isNum(previous)) return null;
+      const change = m.size(current) - m.size(previous);
+      return Math.abs(change) < m.steady ? "steady" : change < 0 ? "better" : "worse";
+    },
+
+    // Per-session metrics plus trends against the previous session of the same exercise.
+    // sessions: oldest first (SessionStore.list()). Returns [{ session, metrics, trends }] in the same order.
+    history(sessions) {
+      const last = new Map();
+      return sessions.map((session) => {
+        const metrics = this.fromSession(session), prev = last.get(session.exercise);
+        const trends = {};
+        for (const k of Object.keys(METRICS)) trends[k] = prev ? this.trend(k, metrics[k], prev[k]) : null;
+        last.set(session.exercise, metrics);
+        return { session, metrics, trends };
+      });
+    },
+
+    format(key, v) {
+      if (!isNum(v)) return "–";
+      const m = METRICS[key];
+      return m.unit === "×" ? `${v.toFixed(2)}×` : `${v > 0 ? "+" : ""}${v.toFixed(1)}${m.unit}`;
+    }
+  };
+
+  window.Asymmetry = Asymmetry;
+})();
@@ -0,0 +1,155 @@
+// audio-coach.js
+// Spoken coaching (Web Speech API) and short earcons (Web Audio) for patients too far from the screen
+// to read it. Messages go through a small priority queue: a warning interrupts praise that is still
+// being spoken, lower-priority messages wait (and expire if they wait too long), and the same text is
+// not repeated within the de-duplication window, which follows LiveFeedback's feedbackCooldown once
+// attach(liveFeedback) has been called. Mute/volume persist in localStorage.
+//
+//   AudioCoach.attach(window.liveFeedback);        // speak LiveFeedback messages by their type
+//   AudioCoach.say("Calibration saved", { type: "success" });
+//   AudioCoach.sayKey("calib.saved", {}, { type: "success" }); // same text as the screen (i18n.js)
+//   AudioCoach.earcon("pop" | "rep" | "level" | "done");
+//   AudioCoach.mountControls(element);             // mute button + volume slider
+
+(function () {
+  const PREFS_KEY = "rehabify_audio";
+  const PRIORITY = { warning: 3, correction: 2, info: 1, success: 0 }; // LiveFeedback message types
+  const MAX_WAIT_MS = 3000; // queued messages older than this are dropped (the moment has passed)
+  const MAX_QUEUE = 3;
+
+  // Earcons: [frequency Hz, start s, duration s] notes on a soft sine
+  const EARCONS = {
+    pop: [[880, 0, 0.09], [1320, 0.07, 0.12]],
+    rep: [[660, 0, 0.1], [990, 0.1, 0.16]],
+    level: [[523, 0, 0.12], [659, 0.12, 0.12], [784, 0.24, 0.22]],
+    done: [[523, 0, 0.14], [659, 0.14, 0.14], [784, 0.28, 0.14], [1047, 0.42, 0.34]]
+  };
+
+  function loadPrefs() {
+    try { return { muted: false, volume: 0.8, ...JSON.parse(localStorage.getItem(PREFS_KEY) || "{}") }; }
+    catch { return { muted: false, volume: 0.8 }; }
+  }
+
+  const AudioCoach = {
+    ...loadPrefs(),
+    clock: () => performance.now(),
+    source: null,        // LiveFeedback instance after attach()
+    lang: null,          // BCP-47 tag for the voice; null → I18n language, else the document's
+    _queue: [], _current: null, _lastSaid: new Map(), _ctx: null, _detach: null,
+
+    get dedupeMs() { return (this.source?.feedbackCooldown ?? 1500) * 2; },
+    get speechAvailable() { return typeof window.speechSynthesis !== "undefined" && typeof window.SpeechSynthesisUtterance === "function"; },
+
+    // Queue `text` for speech. opts: { type: "warning"|"correction"|"info"|"success", priority }
+    say(text, { type = "info", priority = PRIORITY[type] ?? 1 } = {}) {
+      if (!text || this.muted || !this.speechAvailable) return false;
+      const now = this.clock();
+      if (now - (this._lastSaid.get(text) ?? -Infinity) < this.dedupeMs) return false;
+      if (this._current?.text === text || this._queue.some((m) => m.text === text)) return false;
+
+      const item = { text, priority, at: now };
+      if (this._current && priority > this._current.priority) {
+        // interrupt lower-priority speech; it isn't worth repeating later
+        this._queue.unshift(item);
+        this._current = null;
+        window.speechSynthesis.cancel();
+      } else {
+        this._queue.push(item);
+        this._queue.sort((a, b) => b.priority - a.priority || a.at - b.at);
+        this._queue.length = Math.min(this._queue.length, MAX_QUEUE);
+      }
+      this._next();
+      return true;
+    },
+
+    // Speak a catalog message (i18n.js) so speech matches what the screen shows.
+    sayKey(key, params, opts) {
+      return this.say(window.I18n ? window.I18n.t(key, params) : key, opts);
+    },
+
+    _next() {
+      if (this._current || !this._queue.length) return;
+      const now = this.clock();
+      this._queue = this._queue.filter((m) => now - m.at <= MAX_WAIT_MS);
+      const item = this._queue.shift();
+      if (!item) return;
+      this._current = item;
+      this._lastSaid.set(item.text, now);
+      const u = new SpeechSynthesisUtterance(item.text);
+      u.volume = this.volume;
+      u.lang = this.lang || window.I18n?.lang || document.documentElement.lang || "en";
+      const done = () => { if (this._current === item) { this._current = null; this._next(); } };
+      u.onend = done; u.onerror = done;
+      window.speechSynthesis.speak(u);
+    },
+
+    earcon(name) {
+      const notes = EARCONS[name];
+      if (!notes || this.muted) return;
+      try {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        const ctx = this._ctx || (this._ctx = new Ctx());
+        if (ctx.state === "suspended") ctx.resume();
+        const t0 = ctx.currentTime + 0.01;
+        for (const [freq, start, dur] of notes) {
+          const osc = ctx.createOscillator(), gain = ctx.createGain();
+          osc.type = "sine"; osc.frequency.value = freq;
+          gain.gain.setValueAtTime(0, t0 + start);
+          gain.gain.linearRampToValueAtTime(0.25 * this.volume, t0 + start + 0.015);
+          gain.gain.exponentialRampToValueAtTime(0.0001, t0 + start + dur);
+          osc.connect(gain).connect(ctx.destination);
+          osc.start(t0 + start); osc.stop(t0 + start + dur + 0.02);
+        }
+      } catch (e) { console.warn("Earcon failed:", e); }
+    },
+
+    // Speak every LiveFeedback message, prioritised by its type. Returns a detach function.
+    attach(liveFeedback) {
+      if (this._detach) this._detach();
+      this.source = liveFeedback || null;
+      if (!liveFeedback?.on) return () => {};
+      const off = liveFeedback.on("feedback", (e) => this.say(e.message, { type: e.type }));
+      this._detach = () => { off(); this.source = null; this._detach = null; };
+      return this._detach;
+    },
+
+    setMuted(muted) {
+      this.muted = !!muted;
+      if (this.muted) this.stop();
+      this._savePrefs();
+    },
+
+    setVolume(volume) {
+      this.volume = Math.max(0, Math.min(1, Number(volume) || 0));
+      this._savePrefs();
+    },
+
+    stop() {
+      this._queue = []; this._current = null;
+      if (this.speechAvailable) window.speechSynthesis.cancel();
+    },
+
+    _savePrefs() {
+      try { localStorage.setItem(PREFS_KEY, JSON.stringify({ muted: this.muted, volume: this.volume })); } catch { }
+    },
+
+    // Mute toggle + volume slider, appended to `container`. `className` is applied to the button.
+    mountControls(container, { className = "secondary" } = {}) {
+      if (!container) return;
+      const btn = document.createElement("button");
+      btn.type = "button"; btn.className = className;
+      const slider = document.createElement("input");
+      const label = (key, fallback) => (window.I18n ? window.I18n.t(key) : fallback);
+      Object.assign(slider, { type: "range", min: "0", max: "1", step: "0.05", title: label("audio.volume", "Voice volume") });
+      slider.style.width = "90px"; slider.style.verticalAlign = "middle";
+      const render = () => { btn.textContent = this.muted ? label("audio.muted", "🔇 Muted") : label("audio.voice", "🔊 Voice"); slider.value = String(this.volume); slider.disabled = this.muted; };
+      btn.addEventListener("click", () => { this.setMuted(!this.muted); render(); });
+      slider.addEventListener("input", () => this.setVolume(slider.value));
+      render();
+      container.append(btn, slider);
+    }
+  };
+
+  window.AudioCoach = AudioCoach;
+})();
@@ -0,0 +1,53 @@
+// body-frame.js
+// Body-relative coordinates, so targets follow the patient instead of staying fixed in the frame.
+// A frame is { cx, cy, scale }: the shoulder midpoint (display space, x mirrored like the screen)
+// and the torso length (shoulder midpoint → hip midpoint, landmarks 11/12/23/24).
+// Points saved against one frame (calibration, or the exercise's baseline pose) are re-projected
+// into the live frame every video frame: same offset from the shoulders, in torso lengths.
+
+(function () {
+  const vis = (p, t) => !!p && (p.visibility ?? 1) >= t;
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+  const BodyFrame = {
+    MIN_SCALE: 0.05, // torso shorter than this (fraction of frame height) is a bad detection
+
+    // Frame from one pose, or null when shoulders/hips aren't all visible.
+    // `mirrored: true` for raw MediaPipe landmarks, false for landmarks already in display space.
+    fromLandmarks(lm, { mirrored = true, minVis = 0.5 } = {}) {
+      const s1 = lm?.[11], s2 = lm?.[12], h1 = lm?.[23], h2 = lm?.[24];
+      if (![s1, s2, h1, h2].every((p) => vis(p, minVis))) return null;
+      const cx = (s1.x + s2.x) / 2, cy = (s1.y + s2.y) / 2;
+      const scale = Math.hypot((h1.x + h2.x) / 2 - cx, (h1.y + h2.y) / 2 - cy);
+      if (!(scale >= this.MIN_SCALE)) return null;
+      return { cx: mirrored ? 1 - cx : cx, cy, scale };
+    },
+
+    // Exponential smoothing so targets don't shake with landmark jitter; keeps `prev` when `next` is null.
+    smooth(prev, next, a = 0.2) {
+      if (!next) return prev;
+      if (!prev) return { ...next };
+      return { cx: prev.cx + a * (next.cx - prev.cx), cy: prev.cy + a * (next.cy - prev.cy), scale: prev.scale + a * (next.scale - prev.scale) };
+    },
+
+    // Display point {x, y} ⇄ body coordinates {u, v} (torso lengths from the shoulder midpoint)
+    toBody(f, p) { return { u: (p.x - f.cx) / f.scale, v: (p.y - f.cy) / f.scale }; },
+    fromBody(f, b) { return { x: f.cx + b.u * f.scale, y: f.cy + b.v * f.scale }; },
+
+    // Point placed against frame `from`, at the same body-relative spot in frame `to`.
+    // Either frame missing → the point is returned unchanged (fixed screen position).
+    reproject(p, from, to) {
+      if (!p || !from || !to) return p;
+      const q = this.fromBody(to, this.toBody(from, p));
+      return { ...p, x: q.x, y: q.y };
+    },
+
+    // y only (ladder rungs, neutral lines) and x only (lanes)
+    reprojectY(y, from, to) { return from && to ? to.cy + ((y - from.cy) / from.scale) * to.scale : y; },
+    reprojectX(x, from, to) { return from && to ? to.cx + ((x - from.cx) / from.scale) * to.scale : x; },
+
+    isFrame(f) { return !!f && isNum(f.cx) && isNum(f.cy) && isNum(f.scale) && f.scale > 0; }
+  };
+
+  window.BodyFrame = BodyFrame;
+})();
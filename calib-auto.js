@@ -0,0 +1,149 @@
+// calib-auto.js
+// Auto-hold calibration ladder (CalibAuto), shared by calibration.js and tools/replay.js.
+// Pure logic: no DOM. Time comes from grid.clock (defaults to performance.now) so recorded
+// landmark streams can be replayed with their own timestamps. Abduction angles are measured with
+// LiveFeedback (live-feedback.js must be loaded first).
+// With bodyFollow (default) the ladder is pinned to the body (body-frame.js): its coordinates are
+// screen positions in the first torso frame seen (grid.body.anchor), wrists are mapped back into
+// that frame every update, and CalibAuto.project() gives where a rung sits on screen right now.
+// With laneFollow each ladder axis slides toward that side's elbow (or shoulder, see laneAnchor) x,
+// smoothed by laneAlpha and kept inside laneClamp; a lane stops moving once its side is being held.
+// `sides` lists the arms to calibrate, in order (["left"] or ["right"] for one-sided prescriptions);
+// the grid goes to step "done" after the last one.
+
+(function () {
+  const clamp01 = (v) => Math.max(0, Math.min(1, Number.isFinite(+v) ? +v : 0.5));
+
+  const V2 = {
+    ema(prev, next, a = 0.35) { if (!next) return prev; if (!prev) return next; return { x: prev.x + a * (next.x - prev.x), y: prev.y + a * (next.y - prev.y), visibility: next.visibility ?? 1 }; },
+    dist(a, b) { const dx = a.x - b.x, dy = a.y - b.y; return Math.hypot(dx, dy); }
+  };
+
+  // --- Auto-calibration grid
+  const CalibAuto = {
+    create({
+      count = 8, yTop = 0.12, yBottom = 0.85, leftX = 0.18, rightX = 0.82,
+      hitRadius = 0.12, holdSeconds = 5, kFrames = 6, maxSpeedPerSec = 0.60, minVis = 0.55, needsHips = true,
+      laneFollow = false, laneAlpha = 0.15, laneClamp = [0.08, 0.92], laneAnchor = "elbow", bodyFollow = true,
+      sides = ["left", "right"],
+      clock = () => performance.now(), aspect = 1
+    } = {}) {
+      const yList = Array.from({ length: count }, (_, i) => yBottom - (i / (count - 1)) * (yBottom - yTop));
+      return {
+        count, yTop, yBottom, leftX, rightX, hitRadius, yList,
+        holdSeconds, kFrames, maxSpeedPerSec, minVis, needsHips,
+        laneFollow, laneAlpha, laneClamp, laneAnchor, bodyFollow, clock, aspect, sides: [...sides],
+        body: { anchor: null, live: null },
+        step: sides[0],
+        leftActive: null, rightActive: null, leftSaved: null, rightSaved: null,
+        _lastTs: null, _sL: null, _sR: null, _kOn: 0, _hold: 0, _candidate: null,
+        _rom: { neutralSamples: [], maxReachLeft: 1, maxReachRight: 1 },
+        _maxRungL: null, _maxRungR: null, _minYLeft: 1, _minYRight: 1,
+        _angles: { neutralLeft: [], neutralRight: [], maxLeft: null, maxRight: null }
+      };
+    },
+
+    update(grid, lm, { isMirrored = true, aspect } = {}) {
+      if (Number.isFinite(aspect) && aspect > 0) grid.aspect = aspect;
+      if (!lm || !lm[15] || !lm[16]) return this._status(grid, grid.step, 0);
+
+      const hipsOK = ((lm[23]?.visibility ?? 0) >= grid.minVis) && ((lm[24]?.visibility ?? 0) >= grid.minVis);
+      if (grid.needsHips && !hipsOK) { grid._candidate = null; grid._kOn = 0; grid._hold = 0; return this._status(grid, grid.step, 0); }
+      const BF = grid.bodyFollow ? window.BodyFrame : null, body = grid.body;
+      if (BF) {
+        body.live = BF.smooth(body.live, BF.fromLandmarks(lm, { mirrored: isMirrored, minVis: grid.minVis }));
+        if (!body.anchor && body.live) body.anchor = { ...body.live };
+      }
+      const toAnchor = (p) => (BF ? BF.reproject(p, body.live, body.anchor) : p);
+      const yH1 = clamp01(lm[23]?.y), yH2 = clamp01(lm[24]?.y); if (Number.isFinite(yH1) && Number.isFinite(yH2)) grid._rom.neutralSamples.push(BF ? BF.reprojectY(Math.max(yH1, yH2), body.live, body.anchor) : Math.max(yH1, yH2));
+
+      const vOK = (pt) => (pt?.visibility ?? 0) >= grid.minVis; if (!vOK(lm[15]) || !vOK(lm[16])) { grid._kOn = 0; grid._hold = 0; return this._status(grid, grid.step, 0); }
+      const nrm = (pt) => ({ x: clamp01(isMirrored ? 1 - pt.x : pt.x), y: clamp01(pt.y), visibility: pt.visibility ?? 1 });
+      const wL = toAnchor(nrm(lm[15])), wR = toAnchor(nrm(lm[16]));
+      if (grid.laneFollow) this._followLanes(grid, lm, (pt) => toAnchor(nrm(pt)));
+
+      const now = grid.clock(), dt = grid._lastTs ? (now - grid._lastTs) / 1000 : 0; grid._lastTs = now;
+      const prevL = grid._sL, prevR = grid._sR; grid._sL = V2.ema(grid._sL, wL, 0.35); grid._sR = V2.ema(grid._sR, wR, 0.35); const sL = grid._sL || wL, sR = grid._sR || wR;
+      const spdL = (prevL && dt > 0) ? V2.dist(prevL, wL) / dt : 0, spdR = (prevR && dt > 0) ? V2.dist(prevR, wR) / dt : 0;
+
+      grid.leftActive = this._hitIndex(grid, sL.x, sL.y, grid.leftX);
+      grid.rightActive = this._hitIndex(grid, sR.x, sR.y, grid.rightX);
+
+      if (sL.y < grid._minYLeft) { grid._minYLeft = sL.y; grid._maxRungL = this._nearestRung(grid, sL.y); }
+      if (sR.y < grid._minYRight) { grid._minYRight = sR.y; grid._maxRungR = this._nearestRung(grid, sR.y); }
+      this._trackAngles(grid, lm);
+
+      const side = grid.step;
+      const active = side === "left" ? grid.leftActive : grid.rightActive;
+      const spd = side === "left" ? spdL : spdR;
+      const yHand = side === "left" ? sL.y : sR.y;
+
+      if (!active) { grid._candidate = null; grid._kOn = 0; grid._hold = 0; grid._rom.neutralSamples.push(yHand); return this._status(grid, side, 0); }
+      if (grid._candidate !== active) { grid._candidate = active; grid._kOn = 0; grid._hold = 0; }
+
+      const steady = spd <= grid.maxSpeedPerSec; if (steady) grid._kOn++; if (grid._kOn >= grid.kFrames) grid._hold += dt;
+
+      if (grid._hold >= grid.holdSeconds) {
+        if (side === "left") grid.leftSaved = grid._candidate; else grid.rightSaved = grid._candidate;
+        grid._candidate = null; grid._kOn = 0; grid._hold = 0; grid.step = grid.sides[grid.sides.indexOf(side) + 1] ?? "done";
+        return { ok: true, side, saved: true, progress: 1, countdown: 0, step: grid.step };
+      }
+      return this._status(grid, side, grid._hold / grid.holdSeconds);
+    },
+
+    // Ladder point (grid coordinates) → where it is on screen for the current body position
+    project(grid, x, y) {
+      const BF = grid.bodyFollow ? window.BodyFrame : null;
+      return BF ? BF.reproject({ x, y }, grid.body.anchor, grid.body.live) : { x, y };
+    },
+
+    // Slide lanes toward the elbow/shoulder x (shoulder when the elbow isn't visible). The side being
+    // held (or already saved) keeps its lane so the rung under the wrist doesn't move away.
+    _followLanes(grid, lm, toGrid) {
+      const [lo, hi] = grid.laneClamp;
+      for (const [side, key, elbow, shoulder] of [["left", "leftX", 13, 11], ["right", "rightX", 14, 12]]) {
+        if (grid[`${side}Saved`] != null || (grid.step === side && grid._kOn > 0)) continue;
+        const src = grid.laneAnchor === "elbow" && (lm[elbow]?.visibility ?? 0) >= grid.minVis ? lm[elbow] : lm[shoulder];
+        if (!src || (src.visibility ?? 0) < grid.minVis) continue;
+        const x = toGrid(src).x;
+        grid[key] = Math.max(lo, Math.min(hi, grid[key] + grid.laneAlpha * (x - grid[key])));
+      }
+    },
+
+    _hitIndex(grid, x, y, laneX) {
+      let best = null, bestD2 = Infinity;
+      for (let i = 0; i < grid.count; i++) {
+        const yy = grid.yList[i]; const dx = x - laneX, dy = y - yy; const d2 = dx * dx + dy * dy;
+        if (d2 < bestD2) { bestD2 = d2; best = i; }
+      }
+      const hit = Math.sqrt(bestD2) <= grid.hitRadius; return hit ? (best + 1) : null;
+    },
+    // Abduction angle per side: max seen anywhere, neutral sampled while the wrist hangs at hip level.
+    _trackAngles(grid, lm) {
+      const lf = window.liveFeedback; if (!lf) return;
+      for (const [side, Side, hip, wrist] of [["left", "Left", 23, 15], ["right", "Right", 24, 16]]) {
+        const a = lf.shoulderAbductionAngle(lm, side, grid.aspect, grid.minVis);
+        if (a == null) continue;
+        const A = grid._angles;
+        if (A[`max${Side}`] == null || a > A[`max${Side}`]) A[`max${Side}`] = a;
+        if (lm[wrist].y >= lm[hip].y - 0.05) A[`neutral${Side}`].push(a);
+      }
+    },
+    // { neutralAngleLeft, neutralAngleRight, maxAngleLeft, maxAngleRight } in degrees (null if never seen)
+    romAngles(grid) {
+      const A = grid._angles, mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+      const r1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+      return {
+        neutralAngleLeft: r1(mean(A.neutralLeft)), neutralAngleRight: r1(mean(A.neutralRight)),
+        maxAngleLeft: r1(A.maxLeft), maxAngleRight: r1(A.maxRight)
+      };
+    },
+    _nearestRung(grid, y) { let best = 1, bestAbs = Infinity; for (let i = 0; i < grid.count; i++) { const d = Math.abs(grid.yList[i] - y); if (d < bestAbs) { bestAbs = d; best = i + 1; } } return best; },
+    _status(grid, side, progress) {
+      progress = Math.max(0, Math.min(1, progress)); const countdown = Math.max(0, grid.holdSeconds * (1 - progress));
+      return { ok: true, side, saved: false, progress, countdown, step: grid.step, leftActive: grid.leftActive, rightActive: grid.rightActive, leftSaved: grid.leftSaved, rightSaved: grid.rightSaved };
+    }
+  };
+
+  window.CalibAuto = CalibAuto;
+})();
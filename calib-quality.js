@@ -0,0 +1,163 @@
+// calib-quality.js
+// Calibration quality (CalibQuality), shared by calibration.js and tools/replay.js. A calibration done
+// with the patient half out of frame, a tilted camera or a noisy (dark) image gives a ladder that's
+// wrong for every session after it, so the page runs a pre-flight check before the ladder starts and
+// stores a 0..1 confidence score with the payload (calibration-schema.js, `quality`).
+//
+// Checks, per frame (raw MediaPipe landmarks, 0..1 of the frame):
+//   framing   share of FRAME_POINTS visible (≥ minVis) and inside the frame, `margin` from the edges
+//   distance  shoulder width as a share of the frame width (aspect-corrected): too far / too close
+//   tilt      camera roll in degrees: mean slope of the shoulder and hip lines
+//   jitter    high-frequency landmark noise (second difference of the torso points, in torso lengths);
+//             smooth movement barely registers, so it stays meaningful while the arms move
+// Pure logic: no DOM. Time comes from q.clock (defaults to performance.now) like CalibAuto.
+//
+//   const q = CalibQuality.create({ aspect });
+//   const r = CalibQuality.update(q, lm);   // { issues: ["tooFar", …], ready, progress }
+//   CalibQuality.summary(q)                 // { score, checks: { framing: { value, score }, … }, frames }
+
+(function () {
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+  // Nose to knees: the ladder needs the hips, the leg exercises the knees, the top rung room above the head
+  const FRAME_POINTS = [0, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26];
+  const TORSO_POINTS = [0, 11, 12, 23, 24];
+  const MAX_SAMPLES = 1800; // a minute at 30 fps
+  const JITTER_WINDOW = 15;
+
+  // Where each check's score goes from 1 (good) to 0 (bad). distance: [bad, good, good, bad]
+  const LIMITS = {
+    framing: { good: 1, bad: 0.5 },
+    distance: [0.06, 0.12, 0.30, 0.45],
+    tilt: { good: 4, bad: 12 },
+    jitter: { good: 0.02, bad: 0.06 }
+  };
+
+  // 1 at `good`, 0 at `bad`, linear in between (either direction)
+  const ramp = (v, good, bad) => clamp01((v - bad) / (good - bad));
+  const band = (v, [lo0, lo1, hi1, hi0]) => (v < lo1 ? ramp(v, lo1, lo0) : v > hi1 ? ramp(v, hi1, hi0) : 1);
+  const median = (xs) => {
+    if (!xs.length) return null;
+    const s = [...xs].sort((a, b) => a - b), m = s.length >> 1;
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  };
+  const push = (list, v) => { list.push(v); if (list.length > MAX_SAMPLES) list.shift(); };
+
+  const CalibQuality = {
+    FRAME_POINTS,
+    LIMITS,
+
+    create({ minVis = 0.55, margin = 0.02, holdSeconds = 1.5, limits = LIMITS, clock = () => performance.now(), aspect = 1 } = {}) {
+      return {
+        minVis, margin, holdSeconds, limits, clock, aspect,
+        frames: 0, ready: false,
+        samples: { framing: [], distance: [], tilt: [], jitter: [] },
+        _hist: [], _goodSince: null
+      };
+    },
+
+    // One frame. `issues` lists what's wrong right now, most important first; `ready` latches once a
+    // frame has had no issues for holdSeconds (the pre-flight gate).
+    update(q, lm, { aspect } = {}) {
+      if (Number.isFinite(aspect) && aspect > 0) q.aspect = aspect;
+      const now = q.clock(), issues = [];
+      if (!lm) {
+        q._goodSince = null; q._hist = [];
+        return { issues: ["frame"], ready: q.ready, progress: 0 };
+      }
+      q.frames++;
+      const { limits } = q, s = q.samples;
+      const seen = (i) => (lm[i]?.visibility ?? 0) >= q.minVis;
+
+      const inside = (p) => p.x >= q.margin && p.x <= 1 - q.margin && p.y >= q.margin && p.y <= 1 - q.margin;
+      const framing = FRAME_POINTS.filter((i) => seen(i) && inside(lm[i])).length / FRAME_POINTS.length;
+      push(s.framing, framing);
+      if (framing < limits.framing.good) issues.push("frame");
+
+      const width = this._shoulderWidth(q, lm, seen);
+      if (width != null) {
+        push(s.distance, width);
+        if (width < limits.distance[1]) issues.push("tooFar");
+        else if (width > limits.distance[2]) issues.push("tooClose");
+      }
+
+      const tilt = this._tilt(q, lm, seen);
+      if (tilt != null) {
+        push(s.tilt, Math.abs(tilt));
+        if (Math.abs(tilt) > limits.tilt.good) issues.push("tilt");
+      }
+
+      const jitter = this._jitter(q, lm, seen);
+      if (jitter != null) push(s.jitter, jitter);
+      const recent = median(s.jitter.slice(-JITTER_WINDOW));
+      if (recent != null && recent > limits.jitter.good) issues.push("jitter");
+
+      if (issues.length || width == null || tilt == null) q._goodSince = null;
+      else if (q._goodSince == null) q._goodSince = now;
+      const progress = q._goodSince == null ? 0 : clamp01((now - q._goodSince) / (q.holdSeconds * 1000));
+      if (progress >= 1) q.ready = true;
+      return { issues, ready: q.ready, progress: q.ready ? 1 : progress };
+    },
+
+    // Everything seen so far → { score, checks, frames }. score is the geometric mean of the four
+    // check scores (one bad check pulls it down hard); null before any frame.
+    summary(q) {
+      const { limits, samples: s } = q;
+      if (!q.frames) return { score: null, checks: null, frames: 0 };
+      const framing = s.framing.reduce((a, b) => a + b, 0) / s.framing.length;
+      const distance = median(s.distance), tilt = median(s.tilt), jitter = median(s.jitter);
+      const checks = {
+        framing: { value: framing, score: ramp(framing, limits.framing.good, limits.framing.bad) },
+        distance: { value: distance, score: distance == null ? 0 : band(distance, limits.distance) },
+        tilt: { value: tilt, score: tilt == null ? 0 : ramp(tilt, limits.tilt.good, limits.tilt.bad) },
+        // too few steady frames to tell: neither rewarded nor punished
+        jitter: { value: jitter, score: jitter == null ? 1 : ramp(jitter, limits.jitter.good, limits.jitter.bad) }
+      };
+      const scores = Object.values(checks).map((c) => c.score);
+      const score = Math.pow(scores.reduce((a, b) => a * b, 1), 1 / scores.length);
+      const round = (v, d) => (v == null ? null : +v.toFixed(d));
+      for (const [k, c] of Object.entries(checks)) checks[k] = { value: round(c.value, k === "tilt" ? 1 : 3), score: round(c.score, 2) };
+      return { score: round(score, 2), checks, frames: q.frames };
+    },
+
+    // Payload block (calibration-schema.js): score plus each check's measured value
+    toPayload(q) {
+      const { score, checks } = this.summary(q);
+      if (score == null) return null;
+      return { score, framing: checks.framing.value, distance: checks.distance.value, tiltDeg: checks.tilt.value, jitter: checks.jitter.value };
+    },
+
+    // --- helpers
+    _shoulderWidth(q, lm, seen) {
+      if (!seen(11) || !seen(12)) return null;
+      // y distance in frame-width units, so the width doesn't depend on the camera's aspect ratio
+      return Math.hypot(lm[11].x - lm[12].x, (lm[11].y - lm[12].y) / q.aspect);
+    },
+
+    _tilt(q, lm, seen) {
+      const slope = (a, b) => {
+        if (!seen(a) || !seen(b)) return null;
+        const dx = (lm[a].x - lm[b].x) * q.aspect, dy = lm[a].y - lm[b].y;
+        return Math.abs(dx) < 1e-3 ? null : Math.atan(dy / dx) * 180 / Math.PI;
+      };
+      const lines = [slope(11, 12), slope(23, 24)].filter((v) => v != null);
+      return lines.length ? lines.reduce((a, b) => a + b, 0) / lines.length : null;
+    },
+
+    _jitter(q, lm, seen) {
+      if (!TORSO_POINTS.every(seen)) { q._hist = []; return null; }
+      const pts = TORSO_POINTS.map((i) => ({ x: lm[i].x * q.aspect, y: lm[i].y }));
+      // the page loop runs faster than the pose model: a repeated frame isn't a new measurement
+      const last = q._hist[q._hist.length - 1];
+      if (last && pts.every((p, i) => p.x === last[i].x && p.y === last[i].y)) return null;
+      q._hist.push(pts); if (q._hist.length > 3) q._hist.shift();
+      if (q._hist.length < 3) return null;
+      const [a, b, c] = q._hist;
+      const mid = (i, k) => (a[i][k] + c[i][k]) / 2;
+      const noise = b.reduce((sum, p, i) => sum + Math.hypot(p.x - mid(i, "x"), p.y - mid(i, "y")), 0) / b.length;
+      const torso = Math.hypot((b[1].x + b[2].x - b[3].x - b[4].x) / 2, (b[1].y + b[2].y - b[3].y - b[4].y) / 2);
+      return torso > 1e-3 ? noise / torso : null;
+    }
+  };
+
+  window.CalibQuality = CalibQuality;
+})();
@@ -0,0 +1,228 @@
+// calibration-schema.js
+// Shared calibration payload handling: schema validation, version migration and the storage bridge.
+// calibration.js saves through CalibrationBridge.save(); exercise pages read CalibrationBridge.get()
+// and never parse storage themselves. Storage is per profile (profiles.js): the active profile's keys.
+
+(function () {
+  const CALIB_KEY = "calib_vertical_autohold";
+  const COMPAT_KEY = "calibration"; // for pages that read localStorage["calibration"] (default profile only)
+  const CURRENT = "ladder-v7";
+  const SIDES = ["left", "right"];
+  const DAY_MS = 24 * 3600 * 1000;
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const isInt = (v) => Number.isInteger(v);
+  const fmt = (v) => (isNum(v) ? +v.toFixed(3) : JSON.stringify(v));
+  const ladderY = (p, idx) => p.yBottom - ((Math.max(1, Math.min(p.count, idx)) - 1) / (p.count - 1)) * (p.yBottom - p.yTop);
+
+  // --- Migrations: each step turns version X into the next one, until CURRENT
+  const MIGRATIONS = {
+    // Unversioned ladder payloads: rung indices only, no ROM block
+    "ladder-v1"(p) {
+      const count = isInt(p.count) ? p.count : 8;
+      const base = { yTop: 0.12, yBottom: 0.85, ...p, count };
+      const leftIndex = isInt(p.leftIndex) ? p.leftIndex : 3, rightIndex = isInt(p.rightIndex) ? p.rightIndex : 3;
+      const leftY = isNum(p.leftY) ? p.leftY : ladderY(base, leftIndex);
+      const rightY = isNum(p.rightY) ? p.rightY : ladderY(base, rightIndex);
+      return {
+        ...base,
+        t: isNum(p.t) ? p.t : 0, mirror: p.mirror ?? true,
+        leftX: isNum(p.leftX) ? p.leftX : 0.18, rightX: isNum(p.rightX) ? p.rightX : 0.82,
+        hitRadius: isNum(p.hitRadius) ? p.hitRadius : 0.12,
+        leftIndex, rightIndex, leftY, rightY,
+        // best we know: the saved rungs are the highest the patient reached
+        rom: { neutralY: base.yBottom, maxReachLeftY: leftY, maxReachRightY: rightY, ...(p.rom || {}) },
+        version: "ladder-v2"
+      };
+    },
+    // v3 adds abduction angles (degrees); older payloads never measured them
+    "ladder-v2"(p) {
+      const none = { neutralAngleLeft: null, neutralAngleRight: null, maxAngleLeft: null, maxAngleRight: null };
+      return { ...p, rom: { ...none, ...(p.rom || {}) }, version: "ladder-v3" };
+    },
+    // v4 pins the ladder to the body; without a torso frame the coordinates stay fixed to the screen
+    "ladder-v3"(p) {
+      return { ...p, body: p.body ?? null, version: "ladder-v4" };
+    },
+    // v5 records which arms were calibrated (one-sided prescriptions calibrate only the affected arm)
+    "ladder-v4"(p) {
+      return { ...p, sides: [...SIDES], version: "ladder-v5" };
+    },
+    // v6 adds the quality block (calib-quality.js); older calibrations were never checked
+    "ladder-v5"(p) {
+      return { ...p, quality: p.quality ?? null, version: "ladder-v6" };
+    },
+    // v7 records when the ROM was last re-checked in a session (reach-check.js); null == never
+    "ladder-v6"(p) {
+      return { ...p, rom: { checkedAt: null, ...(p.rom || {}) }, version: "ladder-v7" };
+    }
+  };
+
+  // Confidence (quality.score) below warnBelow is surfaced as a warning; below requireBelow exercise
+  // pages ask for a new calibration instead of using it
+  const CONFIDENCE = { warnBelow: 0.7, requireBelow: 0.4 };
+
+  const CalibrationSchema = {
+    CURRENT,
+    CONFIDENCE,
+
+    versionOf(p) { return (p && typeof p.version === "string") ? p.version : "ladder-v1"; },
+
+    // Returns a migrated copy; throws for versions we don't know how to read.
+    migrate(p) {
+      let out = { ...p }, guard = 0;
+      while (this.versionOf(out) !== CURRENT) {
+        const step = MIGRATIONS[this.versionOf(out)];
+        if (!step || ++guard > 10) throw new Error(`Unsupported calibration version "${this.versionOf(out)}"`);
+        out = step(out);
+      }
+      return out;
+    },
+
+    // { score, level: "unknown" | "ok" | "low" | "poor" } from the payload's quality block
+    confidence(p) {
+      const score = isNum(p?.quality?.score) ? p.quality.score : null;
+      const level = score == null ? "unknown" : score < CONFIDENCE.requireBelow ? "poor" : score < CONFIDENCE.warnBelow ? "low" : "ok";
+      return { score, level };
+    },
+
+    // { ok, errors, warnings } for a CURRENT-version payload. Errors make the payload unusable;
+    // warnings (e.g. age) are for the page to surface.
+    validate(p, { maxAgeDays = 30, now = Date.now() } = {}) {
+      const errors = [], warnings = [];
+      const need = (cond, msg) => { if (!cond) errors.push(msg); return cond; };
+      const in01 = (k, v) => need(isNum(v) && v >= 0 && v <= 1, `${k} must be a number in 0..1 (got ${fmt(v)})`);
+
+      if (!p || typeof p !== "object") return { ok: false, errors: ["Calibration is not an object"], warnings };
+      need(p.version === CURRENT, `version must be "${CURRENT}" (got ${fmt(p.version)})`);
+      need(isNum(p.t) && p.t >= 0, `t must be a timestamp (got ${fmt(p.t)})`); // 0 == unknown (migrated)
+      need(p.mirror === true, "Calibration was not captured with a mirrored view");
+      need(isInt(p.count) && p.count >= 2 && p.count <= 32, `count must be an integer 2..32 (got ${fmt(p.count)})`);
+
+      const topOK = in01("yTop", p.yTop), bottomOK = in01("yBottom", p.yBottom), yOK = topOK && bottomOK;
+      if (yOK) need(p.yTop < p.yBottom, `yTop (${fmt(p.yTop)}) must be above yBottom (${fmt(p.yBottom)})`);
+      in01("leftX", p.leftX); in01("rightX", p.rightX);
+      need(isNum(p.hitRadius) && p.hitRadius > 0 && p.hitRadius <= 0.5, `hitRadius must be in (0, 0.5] (got ${fmt(p.hitRadius)})`);
+
+      const sides = Array.isArray(p.sides) ? p.sides : [];
+      need(sides.length >= 1 && sides.length <= 2 && sides.every((s) => SIDES.includes(s)) && new Set(sides).size === sides.length,
+        `sides must list "left" and/or "right" (got ${fmt(p.sides)})`);
+      const calibrated = (side) => sides.includes(side);
+
+      for (const side of SIDES) {
+        const idx = p[`${side}Index`], y = p[`${side}Y`];
+        if (!calibrated(side)) {
+          need(idx === null && y === null, `${side}Index/${side}Y must be null for an arm that wasn't calibrated`);
+          continue;
+        }
+        need(isInt(idx) && idx >= 1 && idx <= p.count, `${side}Index must be a rung 1..${p.count} (got ${fmt(idx)})`);
+        if (in01(`${side}Y`, y) && yOK) need(y >= p.yTop - 1e-6 && y <= p.yBottom + 1e-6, `${side}Y (${fmt(y)}) is off the ladder (${fmt(p.yTop)}..${fmt(p.yBottom)})`);
+      }
+
+      const b = p.body;
+      need(b === null || (b && isNum(b.cx) && isNum(b.cy) && isNum(b.scale) && b.scale > 0 && b.scale <= 2),
+        `body must be null or { cx, cy, scale > 0 } (got ${fmt(b)})`);
+
+      const rom = p.rom;
+      if (need(rom && typeof rom === "object", "rom block is missing")) {
+        in01("rom.neutralY", rom.neutralY);
+        for (const [side, k] of [["left", "maxReachLeftY"], ["right", "maxReachRightY"]]) {
+          if (!calibrated(side) && rom[k] === null) continue;
+          if (!in01(`rom.${k}`, rom[k]) || !yOK) continue;
+          need(rom[k] >= p.yTop - 1e-6, `rom.${k} (${fmt(rom[k])}) is above the top rung; it must be ≥ yTop (${fmt(p.yTop)})`);
+          if (isNum(rom.neutralY)) need(rom[k] < rom.neutralY, `rom.${k} (${fmt(rom[k])}) must be higher than neutralY (${fmt(rom.neutralY)})`);
+        }
+        for (const Side of ["Left", "Right"]) {
+          const n = rom[`neutralAngle${Side}`], m = rom[`maxAngle${Side}`];
+          for (const [k, v] of [[`neutralAngle${Side}`, n], [`maxAngle${Side}`, m]]) {
+            need(v === null || (isNum(v) && v >= 0 && v <= 180), `rom.${k} must be null or 0..180° (got ${fmt(v)})`);
+          }
+          if (isNum(n) && isNum(m)) need(m >= n, `rom.maxAngle${Side} (${fmt(m)}°) is below rom.neutralAngle${Side} (${fmt(n)}°)`);
+        }
+        need(rom.checkedAt === null || (isNum(rom.checkedAt) && rom.checkedAt >= p.t), `rom.checkedAt must be null or a timestamp after t (got ${fmt(rom.checkedAt)})`);
+      }
+
+      const q = p.quality;
+      if (need(q === null || (q && typeof q === "object"), `quality must be null or an object (got ${fmt(q)})`) && q) {
+        in01("quality.score", q.score);
+        if (isNum(q.score) && q.score < CONFIDENCE.warnBelow) warnings.push(`Calibration confidence is low (${Math.round(q.score * 100)}%)`);
+      }
+
+      // age counts from the last ROM re-check when there was one
+      const measured = Math.max(isNum(p.t) ? p.t : 0, isNum(rom?.checkedAt) ? rom.checkedAt : 0);
+      if (measured === 0) warnings.push("Calibration date is unknown");
+      else if (maxAgeDays && now - measured > maxAgeDays * DAY_MS) {
+        warnings.push(`Calibration is ${Math.floor((now - measured) / DAY_MS)} days old`);
+      }
+      return { ok: errors.length === 0, errors, warnings };
+    },
+
+    // Raw JSON string or object → { payload, errors, warnings }. payload is null unless valid.
+    parse(raw, opts) {
+      let p = raw;
+      if (typeof raw === "string") {
+        try { p = JSON.parse(raw); } catch (e) { return { payload: null, errors: [`Calibration is not valid JSON (${e.message})`], warnings: [] }; }
+      }
+      if (p == null) return { payload: null, errors: [], warnings: [] };
+      try { p = this.migrate(p); } catch (e) { return { payload: null, errors: [e.message], warnings: [] }; }
+      const v = this.validate(p, opts);
+      return { payload: v.ok ? p : null, errors: v.errors, warnings: v.warnings };
+    }
+  };
+
+  // The active profile's key; other profiles never see the shared compatibility key
+  const profileKey = () => (window.Profiles ? window.Profiles.key(CALIB_KEY) : CALIB_KEY);
+  const isDefaultProfile = () => !window.Profiles || window.Profiles.activeId === window.Profiles.DEFAULT_ID;
+  const measuredAt = (p) => Math.max(p.t ?? 0, p.rom?.checkedAt ?? 0);
+
+  const CalibrationBridge = {
+    KEY: CALIB_KEY,
+    COMPAT_KEY,
+
+    // { payload, errors, warnings, source } for the active profile's calibration. Of the valid copies the
+    // most recently measured (saved or re-checked) wins: a tab's sessionStorage copy is the older one
+    // once another tab recalibrates. With no valid copy, the first one found reports its errors.
+    inspect(opts) {
+      const key = profileKey();
+      const keys = [[sessionStorage, key], [localStorage, key], ...(isDefaultProfile() ? [[localStorage, COMPAT_KEY]] : [])];
+      let best = null, first = null;
+      try {
+        for (const [store, k] of keys) {
+          const raw = store.getItem(k);
+          if (!raw) continue;
+          const out = { ...CalibrationSchema.parse(raw, opts), source: k };
+          first = first || out;
+          if (out.payload && (!best || measuredAt(out.payload) > measuredAt(best.payload))) best = out;
+        }
+      } catch (e) {
+        return { payload: null, errors: [`Storage unavailable (${e.message})`], warnings: [], source: null };
+      }
+      return best || first || { ...CalibrationSchema.parse(null, opts), source: null };
+    },
+
+    // Validated, migrated payload or null.
+    get(opts) { return this.inspect(opts).payload; },
+
+    // Validates then writes all keys. Throws with the validation messages if the payload is rejected.
+    save(payload) {
+      const v = CalibrationSchema.validate(payload, { maxAgeDays: 0 });
+      if (!v.ok) throw new Error(`Calibration rejected: ${v.errors.join("; ")}`);
+      const json = JSON.stringify(payload), key = profileKey();
+      sessionStorage.setItem(key, json);
+      localStorage.setItem(key, json);
+      if (isDefaultProfile()) localStorage.setItem(COMPAT_KEY, json); // compatibility for pages reading "calibration"
+      return payload;
+    },
+
+    clear() {
+      const key = profileKey();
+      try {
+        sessionStorage.removeItem(key); localStorage.removeItem(key);
+        if (isDefaultProfile()) localStorage.removeItem(COMPAT_KEY);
+      } catch { }
+    }
+  };
+
+  window.CalibrationSchema = CalibrationSchema;
+  window.CalibrationBridge = CalibrationBridge;
+})();
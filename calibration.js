@@ -1,6 +1,4 @@
 (function () {
-  const CALIB_KEY = "calib_vertical_autohold";
-  const COMPAT_KEY = "calibration"; // for pages that read localStorage["calibration"]
   const isMirrored = true;
 
   // --- DOM helpers
@@ -8,117 +6,50 @@
   const stage = $("stage"), canvas = $("canvas"), ctx = canvas.getContext("2d"), video = $("video");
   const ladderLayer = $("ladderLayer");
   const statusEl = $("status");
-  const btnStart = $("btnStart"), btnReset = $("btnReset");
+  const btnStart = $("btnStart"), btnFile = $("btnFile"), btnReset = $("btnReset"), btnRecord = $("btnRecord");
 
   const kpiLeft = $("kpiLeft"), kpiRight = $("kpiRight"), kpiSaved = $("kpiSaved");
   const kpiHold = $("kpiHold"), kpiTargets = $("kpiTargets"), kpiStatus = $("kpiStatus");
+  const kpiAngle = $("kpiAngle"), kpiMaxAngle = $("kpiMaxAngle"), kpiQuality = $("kpiQuality");
   const sideTimer = $("sideTimer"), sideFill = $("sideFill"), hipTip = $("hipTip");
   const armLabel = $("armLabel"), armDot = $("armDot");
   const saveToast = $("saveToast");
-  const setStatus = (s) => { statusEl.textContent = s; kpiStatus.textContent = s; };
+  // Text comes from the i18n.js catalog; status is also spoken (audio-coach.js), type "warning" for
+  // problems so they interrupt other speech
+  const msg = (key, params) => window.I18n.t(key, params);
+  const setStatus = (s, type = "info") => { statusEl.textContent = s; kpiStatus.textContent = s; window.AudioCoach?.say(s, { type }); };
+  window.I18n.apply();
+  window.I18n.mountPicker($("langPicker"), { className: "btn secondary" });
+  window.AudioCoach?.mountControls($("audioControls"), { className: "btn secondary" });
+  window.Offline?.mountStatus($("offlineStatus"));
+  window.Profiles?.mountPicker($("profilePicker"), { className: "btn secondary" });
+  window.Offline?.register();
 
-  const clamp01 = (v) => Math.max(0, Math.min(1, Number.isFinite(+v) ? +v : 0.5));
   const yAtIndex = (yList, idx) => { const i = Math.max(1, Math.min(yList.length, idx)); return yList[i - 1]; };
+  const CalibAuto = window.CalibAuto; // calib-auto.js
+  const CalibQuality = window.CalibQuality; // calib-quality.js
 
-  const V2 = {
-    ema(prev, next, a = 0.35) { if (!next) return prev; if (!prev) return next; return { x: prev.x + a * (next.x - prev.x), y: prev.y + a * (next.y - prev.y), visibility: next.visibility ?? 1 }; },
-    dist(a, b) { const dx = a.x - b.x, dy = a.y - b.y; return Math.hypot(dx, dy); }
-  };
-
-  // --- Auto-calibration grid
-  const CalibAuto = {
-    create({
-      count = 8, yTop = 0.12, yBottom = 0.85, leftX = 0.18, rightX = 0.82,
-      hitRadius = 0.12, holdSeconds = 5, kFrames = 6, maxSpeedPerSec = 0.60, minVis = 0.55, needsHips = true,
-      laneFollow = false, laneAlpha = 0.15, laneClamp = [0.08, 0.92]
-    } = {}) {
-      const yList = Array.from({ length: count }, (_, i) => yBottom - (i / (count - 1)) * (yBottom - yTop));
-      return {
-        count, yTop, yBottom, leftX, rightX, hitRadius, yList,
-        holdSeconds, kFrames, maxSpeedPerSec, minVis, needsHips,
-        laneFollow, laneAlpha, laneClamp,
-        step: "left",
-        leftActive: null, rightActive: null, leftSaved: null, rightSaved: null,
-        _lastTs: null, _sL: null, _sR: null, _kOn: 0, _hold: 0, _candidate: null,
-        _rom: { neutralSamples: [], maxReachLeft: 1, maxReachRight: 1 },
-        _maxRungL: null, _maxRungR: null, _minYLeft: 1, _minYRight: 1
-      };
-    },
-
-    update(grid, lm, { isMirrored = true } = {}) {
-      if (!lm || !lm[15] || !lm[16]) return this._status(grid, grid.step, 0);
-
-      const hipsOK = ((lm[23]?.visibility ?? 0) >= grid.minVis) && ((lm[24]?.visibility ?? 0) >= grid.minVis);
-      if (grid.needsHips && !hipsOK) { grid._candidate = null; grid._kOn = 0; grid._hold = 0; return this._status(grid, grid.step, 0); }
-      const yH1 = clamp01(lm[23]?.y), yH2 = clamp01(lm[24]?.y); if (Number.isFinite(yH1) && Number.isFinite(yH2)) grid._rom.neutralSamples.push(Math.max(yH1, yH2));
-
-      const vOK = (pt) => (pt?.visibility ?? 0) >= grid.minVis; if (!vOK(lm[15]) || !vOK(lm[16])) { grid._kOn = 0; grid._hold = 0; return this._status(grid, grid.step, 0); }
-      const nrm = (pt) => ({ x: clamp01(isMirrored ? 1 - pt.x : pt.x), y: clamp01(pt.y), visibility: pt.visibility ?? 1 });
-      const wL = nrm(lm[15]), wR = nrm(lm[16]);
-
-      const now = performance.now(), dt = grid._lastTs ? (now - grid._lastTs) / 1000 : 0; grid._lastTs = now;
-      const prevL = grid._sL, prevR = grid._sR; grid._sL = V2.ema(grid._sL, wL, 0.35); grid._sR = V2.ema(grid._sR, wR, 0.35); const sL = grid._sL || wL, sR = grid._sR || wR;
-      const spdL = (prevL && dt > 0) ? V2.dist(prevL, wL) / dt : 0, spdR = (prevR && dt > 0) ? V2.dist(prevR, wR) / dt : 0;
-
-      grid.leftActive = this._hitIndex(grid, sL.x, sL.y, grid.leftX);
-      grid.rightActive = this._hitIndex(grid, sR.x, sR.y, grid.rightX);
-
-      if (sL.y < grid._minYLeft) { grid._minYLeft = sL.y; grid._maxRungL = this._nearestRung(grid, sL.y); }
-      if (sR.y < grid._minYRight) { grid._minYRight = sR.y; grid._maxRungR = this._nearestRung(grid, sR.y); }
-
-      const side = grid.step;
-      const active = side === "left" ? grid.leftActive : grid.rightActive;
-      const spd = side === "left" ? spdL : spdR;
-      const yHand = side === "left" ? sL.y : sR.y;
-
-      if (!active) { grid._candidate = null; grid._kOn = 0; grid._hold = 0; grid._rom.neutralSamples.push(yHand); return this._status(grid, side, 0); }
-      if (grid._candidate !== active) { grid._candidate = active; grid._kOn = 0; grid._hold = 0; }
-
-      const steady = spd <= grid.maxSpeedPerSec; if (steady) grid._kOn++; if (grid._kOn >= grid.kFrames) grid._hold += dt;
-
-      if (grid._hold >= grid.holdSeconds) {
-        if (side === "left") grid.leftSaved = grid._candidate; else grid.rightSaved = grid._candidate;
-        grid._candidate = null; grid._kOn = 0; grid._hold = 0; grid.step = (side === "left") ? "right" : "done";
-        return { ok: true, side, saved: true, progress: 1, countdown: 0, step: grid.step };
-      }
-      return this._status(grid, side, grid._hold / grid.holdSeconds);
-    },
-
-    _hitIndex(grid, x, y, laneX) {
-      let best = null, bestD2 = Infinity;
-      for (let i = 0; i < grid.count; i++) {
-        const yy = grid.yList[i]; const dx = x - laneX, dy = y - yy; const d2 = dx * dx + dy * dy;
-        if (d2 < bestD2) { bestD2 = d2; best = i; }
-      }
-      const hit = Math.sqrt(bestD2) <= grid.hitRadius; return hit ? (best + 1) : null;
-    },
-    _nearestRung(grid, y) { let best = 1, bestAbs = Infinity; for (let i = 0; i < grid.count; i++) { const d = Math.abs(grid.yList[i] - y); if (d < bestAbs) { bestAbs = d; best = i + 1; } } return best; },
-    _status(grid, side, progress) {
-      progress = Math.max(0, Math.min(1, progress)); const countdown = Math.max(0, grid.holdSeconds * (1 - progress));
-      return { ok: true, side, saved: false, progress, countdown, step: grid.step, leftActive: grid.leftActive, rightActive: grid.rightActive, leftSaved: grid.leftSaved, rightSaved: grid.rightSaved };
-    }
-  };
-
-  // Public getter (optional)
-  window.CalibrationBridge = {
-    get() {
-      try {
-        const raw = sessionStorage.getItem(CALIB_KEY) || localStorage.getItem(CALIB_KEY) || localStorage.getItem(COMPAT_KEY);
-        return raw ? JSON.parse(raw) : null;
-      } catch { return null; }
-    }
-  };
-
-  let pose = null, latestLm = null, grid = null; let leftDots = [], rightDots = [], axisLeft = null, axisRight = null;
-  let running = false, savedOnce = false;
+  let source = null, latestLm = null, grid = null; let leftDots = [], rightDots = [], axisLeft = null, axisRight = null;
+  let running = false, paused = false, savedOnce = false, hipsWereOK = true;
+  let quality = null, setupIssue = null; // CalibQuality for this calibration; the pre-flight issue being shown
+  let recorder = null; // PoseRecorder while "Record" is on (or ?record=1)
+  const poseOptions = window.PoseSource.fromLocation(); // ?pose=, ?video=, ?landmarks=
 
   const defaults = {
     count: 8, yTop: 0.12, yBottom: 0.85,
     leftX: 0.18, rightX: 0.82,
     hitRadius: 0.12, holdSeconds: 5,
     kFrames: 6, maxSpeedPerSec: 0.60, minVis: 0.55, needsHips: true,
-    laneFollow: false, laneAlpha: 0.15, laneClamp: [0.08, 0.92]
+    // lanes slide to the user's elbows (narrow shoulders, children); ?lanes=fixed keeps 0.18 / 0.82
+    laneFollow: new URLSearchParams(location.search).get("lanes") !== "fixed", laneAlpha: 0.15, laneClamp: [0.08, 0.92], laneAnchor: "elbow",
+    // arms to calibrate: ?side=left|right, else the stored prescription's affected arm (see start()), else both
+    sides: ["left", "right"],
+    // pre-flight: framing, distance, tilt and jitter must be fine for a moment before the ladder starts
+    // (calib-quality.js); ?preflight=0 skips it. Recorded with the options so tools/replay.js does the same.
+    preflight: new URLSearchParams(location.search).get("preflight") !== "0"
   };
+  const sideParam = new URLSearchParams(location.search).get("side");
+  if (sideParam === "left" || sideParam === "right") defaults.sides = [sideParam];
 
   // --- Layout & ladder
   function fitCanvas() {
@@ -137,10 +68,15 @@
       const dL = document.createElement('div'); dL.className = 'dot'; ladderLayer.appendChild(dL); leftDots.push(dL);
       const dR = document.createElement('div'); dR.className = 'dot'; ladderLayer.appendChild(dR); rightDots.push(dR);
     }
+    // one-sided calibration: only the affected arm's ladder is shown
+    axisLeft.hidden = !grid.sides.includes("left"); leftDots.forEach((d) => { d.hidden = axisLeft.hidden; });
+    axisRight.hidden = !grid.sides.includes("right"); rightDots.forEach((d) => { d.hidden = axisRight.hidden; });
     positionLadder();
   }
   function positionLadder() {
-    if (!grid) return; const r = stage.getBoundingClientRect(); const toPx = (xN, yN) => ({ x: xN * r.width, y: yN * r.height });
+    // ladder coordinates are body-relative (calib-auto.js); project them to where the user stands now
+    if (!grid) return; const r = stage.getBoundingClientRect();
+    const toPx = (xN, yN) => { const p = CalibAuto.project(grid, xN, yN); return { x: p.x * r.width, y: p.y * r.height }; };
     const pAxisL = toPx(grid.leftX, 0), pAxisR = toPx(grid.rightX, 0);
     axisLeft.style.left = `${pAxisL.x}px`; axisLeft.style.height = `${r.height}px`;
     axisRight.style.left = `${pAxisR.x}px`; axisRight.style.height = `${r.height}px`;
@@ -150,6 +86,12 @@
       rightDots[i].style.left = `${pR.x}px`; rightDots[i].style.top = `${pR.y}px`;
     }
   }
+  // Step chip: which arm is being calibrated
+  function showStep(step) {
+    if (step === "left") { armLabel.textContent = msg("calib.left"); armDot.style.background = "#ffd1df"; }
+    else if (step === "right") { armLabel.textContent = msg("calib.right"); armDot.style.background = "#bfe1ff"; }
+  }
+
   function updateLadderActive(leftActive, rightActive) {
     leftDots.forEach((d, i) => {
       d.classList.toggle('active-left', leftActive === (i + 1));
@@ -173,83 +115,125 @@
     const neutral = (grid._rom.neutralSamples.length
       ? grid._rom.neutralSamples.reduce((a, b) => a + b, 0) / grid._rom.neutralSamples.length
       : (grid.yBottom ?? 0.85));
+    const on = (side, v) => (grid.sides.includes(side) ? v : null);
+    const angles = CalibAuto.romAngles(grid);
 
     const payload = {
       t: Date.now(), mirror: true,
       count: grid.count, yTop: grid.yTop, yBottom: grid.yBottom,
       leftX: grid.leftX, rightX: grid.rightX, hitRadius: grid.hitRadius,
-      leftIndex: grid.leftSaved, rightIndex: grid.rightSaved,
-      leftY: yAtIndex(grid.yList, grid.leftSaved), rightY: yAtIndex(grid.yList, grid.rightSaved),
-      rom: { neutralY: neutral, maxReachLeftY: grid._minYLeft, maxReachRightY: grid._minYRight },
-      version: "ladder-v2"
+      body: grid.body.anchor, // torso frame the ladder coordinates are relative to (body-frame.js)
+      sides: grid.sides, // arms that were calibrated; the other one's rung, reach and angles stay null
+      leftIndex: on("left", grid.leftSaved), rightIndex: on("right", grid.rightSaved),
+      leftY: on("left", yAtIndex(grid.yList, grid.leftSaved)), rightY: on("right", yAtIndex(grid.yList, grid.rightSaved)),
+      // the ladder can't measure above its top rung
+      rom: {
+        neutralY: neutral, maxReachLeftY: on("left", Math.max(grid.yTop, grid._minYLeft)), maxReachRightY: on("right", Math.max(grid.yTop, grid._minYRight)),
+        // shoulder abduction in degrees (hip–shoulder–wrist)
+        neutralAngleLeft: on("left", angles.neutralAngleLeft), neutralAngleRight: on("right", angles.neutralAngleRight),
+        maxAngleLeft: on("left", angles.maxAngleLeft), maxAngleRight: on("right", angles.maxAngleRight),
+        checkedAt: null // set by an in-session reach re-check (reach-check.js)
+      },
+      quality: CalibQuality.toPayload(quality), // confidence score + what the checks measured
+      version: window.CalibrationSchema.CURRENT
     };
+    // a poor calibration would be worse than the one already stored (or the defaults): keep that instead
+    const { score, level } = window.CalibrationSchema.confidence(payload), percent = Math.round((score ?? 0) * 100);
+    if (level === "poor") {
+      toast(msg("calib.notSaved"));
+      setStatus(msg("calib.lowConfidence", { percent }), "warning");
+      return null;
+    }
     try {
-      sessionStorage.setItem(CALIB_KEY, JSON.stringify(payload));
-      localStorage.setItem(CALIB_KEY, JSON.stringify(payload));
-      // compatibility for pages reading "calibration"
-      localStorage.setItem(COMPAT_KEY, JSON.stringify(payload));
-      toast("✅ Calibration saved.");
+      window.CalibrationBridge.save(payload);
+      toast(msg("calib.saved"));
+      if (level === "low") setStatus(msg("calib.savedLowConfidence", { percent }), "warning");
     } catch (e) {
-      console.warn("Storage failed:", e); toast("⚠️ Couldn’t save to storage.");
+      console.warn("Calibration not saved:", e); toast(msg("calib.notSaved"));
+      setStatus(msg("calib.rejected", { error: e.message }), "warning");
+      return null;
     }
     return payload;
   }
 
-  async function start() {
-    if (running) return; running = true; btnStart.disabled = true; btnReset.disabled = false;
+  // `file`: a video or landmark recording picked with "Use file…" instead of the camera
+  async function start(file = null) {
+    if (running) return; running = true; btnStart.disabled = true; btnFile.disabled = true; btnReset.disabled = false;
     sideTimer.textContent = defaults.holdSeconds.toFixed(1) + "s"; sideFill.style.width = "0%";
-    setStatus("Starting camera…");
-
-    const tries = [
-      { video: { facingMode: { ideal: 'user' }, width: { ideal: 1280 }, height: { ideal: 720 } }, audio: false },
-      { video: { facingMode: 'user' }, audio: false },
-      { video: true, audio: false },
-    ];
-    let stream = null, lastErr = null;
-    for (const c of tries) { try { stream = await navigator.mediaDevices.getUserMedia(c); break; } catch (e) { lastErr = e; } }
-    if (!stream) { setStatus(`Camera error: ${lastErr?.message || lastErr}`); running = false; btnStart.disabled = false; btnReset.disabled = true; return; }
-    video.srcObject = stream;
-    await video.play().catch(() => {});
-
+    setStatus(msg(file || poseOptions.url ? "common.startingFile" : "common.startingCamera"));
+
+    // camera (or ?video= / ?landmarks= / a picked file) → landmarks, via pose-source.js
+    const src = window.PoseSource.create({ video, ...poseOptions, ...(file ? { file, url: null, recording: null } : {}) });
+    src.on("landmarks", ({ landmarks }) => { latestLm = landmarks; });
+    try { await src.start(); }
+    catch (e) {
+      setStatus(e.code === "no-model" ? msg("calib.noPose") : e.code === "file" ? msg("common.fileError", { error: e.message }) : msg("common.cameraError", { error: e.message }), "warning");
+      running = false; btnStart.disabled = false; btnFile.disabled = false; btnReset.disabled = true; return;
+    }
+    source = src;
     fitCanvas();
 
-    const PoseCtor =
-      (window.Pose && window.Pose.Pose) ? window.Pose.Pose :
-        (window.Pose) ? window.Pose :
-          (window.pose && window.pose.Pose) ? window.pose.Pose :
-            null;
-
-    if (!PoseCtor) { setStatus("Pose constructor not found"); running = false; btnStart.disabled = false; return; }
-    const pose = new PoseCtor({ locateFile: f => `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${f}` });
-    pose.setOptions({ modelComplexity: 1, smoothLandmarks: true, minDetectionConfidence: 0.6, minTrackingConfidence: 0.6 });
-    pose.onResults(({ poseLandmarks }) => { latestLm = poseLandmarks || null; });
-
-    if (typeof Camera === 'function') {
-      const cam = new Camera(video, { onFrame: async () => { await pose.send({ image: video }); }, width: canvas.width, height: canvas.height });
-      cam.start();
-    } else {
-      (async function loop() { await pose.send({ image: video }); requestAnimationFrame(loop); })();
+    // a one-sided plan (prescription.js) only needs its affected arm calibrated
+    if (!sideParam && window.Prescription) {
+      const { rx } = await window.Prescription.load();
+      if (rx) defaults.sides = window.Prescription.calibrationSides(rx);
     }
-
     grid = CalibAuto.create({ ...defaults });
+    quality = CalibQuality.create({ minVis: defaults.minVis });
     buildLadderUI();
-    setStatus("Calibrating LEFT arm — hold a dot 5s (hips must be visible).");
-    armLabel.textContent = "LEFT"; armDot.style.background = "#ffd1df";
+    showStep(grid.step);
+    if (!defaults.preflight) announceStep();
 
     requestAnimationFrame(mainLoop);
   }
 
+  function announceStep() {
+    setStatus(msg(grid.step === "left" ? "calib.calibratingLeft" : "calib.calibratingRight", { seconds: grid.holdSeconds }));
+  }
+
+  // Pre-flight gate: true while the setup still needs fixing (status says what), false once it has passed
+  function preflight(r) {
+    if (!defaults.preflight) return false;
+    if (r.ready) {
+      if (setupIssue !== null) { setupIssue = null; sideFill.style.width = "0%"; window.AudioCoach?.earcon("pop"); announceStep(); }
+      return false;
+    }
+    const issue = r.issues[0] ?? "hold";
+    if (issue !== setupIssue) { setupIssue = issue; setStatus(msg(`calib.quality.${issue}`), issue === "hold" ? "info" : "warning"); }
+    sideFill.style.width = `${(r.progress * 100).toFixed(1)}%`;
+    return true;
+  }
+
+  // --- Landmark recording (replay with tools/replay.js)
+  function startRecording() {
+    recorder = window.PoseRecorder.create("calibration", { isMirrored, options: { ...defaults } });
+    btnRecord.textContent = msg("common.stopRecording");
+  }
+  function stopRecording() {
+    if (!recorder) return;
+    const angles = grid ? CalibAuto.romAngles(grid) : {};
+    recorder.stop(
+      { leftSaved: grid?.leftSaved ?? null, rightSaved: grid?.rightSaved ?? null, step: grid?.step ?? null, maxAngleLeft: angles.maxAngleLeft, maxAngleRight: angles.maxAngleRight },
+      { aspect: grid?.aspect ?? 1 }
+    );
+    if (recorder.frameCount) recorder.download();
+    recorder = null; btnRecord.textContent = msg("common.record");
+  }
+
   function reset() {
     savedOnce = false; grid = CalibAuto.create({ ...defaults }); buildLadderUI();
+    quality = CalibQuality.create({ minVis: defaults.minVis }); setupIssue = null;
     sideFill.style.width = "0%"; sideTimer.textContent = grid.holdSeconds.toFixed(1) + "s";
     kpiLeft.textContent = "–"; kpiRight.textContent = "–"; kpiSaved.textContent = "–"; kpiHold.textContent = "0.0s";
-    hipTip.textContent = "Make sure your waist (hips) is visible to the camera.";
-    armLabel.textContent = "LEFT"; armDot.style.background = "#ffd1df";
-    setStatus("Calibration reset.");
+    kpiAngle.textContent = "–"; kpiMaxAngle.textContent = "–"; kpiQuality.textContent = "–";
+    hipTip.textContent = msg("calib.hipsHint");
+    showStep(grid.step);
+    setStatus(msg("calib.reset"));
   }
 
   function mainLoop() {
     if (!running) return;
+    if (paused) { requestAnimationFrame(mainLoop); return; } // host "pause" (embed.js): frozen until "resume"
 
     // draw mirrored video with cover crop
     const w = canvas.width, h = canvas.height;
@@ -270,56 +254,84 @@
 
     const lm = latestLm;
     if (lm && grid) {
-      const r = CalibAuto.update(grid, lm, { isMirrored });
+      if (recorder) recorder.push(lm);
+      const q = CalibQuality.update(quality, lm, { aspect: source?.aspect });
+      if (preflight(q)) { requestAnimationFrame(mainLoop); return; }
+      if (quality.frames % 15 === 0) kpiQuality.textContent = `${Math.round(CalibQuality.summary(quality).score * 100)}%`;
+      const r = CalibAuto.update(grid, lm, { isMirrored, aspect: source?.aspect });
       updateLadderActive(r.leftActive, r.rightActive);
+      if (r.saved) {
+        window.AudioCoach?.earcon("pop");
+        if (r.step !== "done") setStatus(msg(r.side === "left" ? "calib.leftSaved" : "calib.rightSaved", { seconds: grid.holdSeconds }));
+      }
 
       kpiLeft.textContent = r.leftActive ? String(r.leftActive) : "–";
       kpiRight.textContent = r.rightActive ? String(r.rightActive) : "–";
       kpiSaved.textContent = `${grid.leftSaved ?? "–"} / ${grid.rightSaved ?? "–"}`;
       kpiHold.textContent = `${(grid.holdSeconds * r.progress).toFixed(1)}s`;
       kpiTargets.textContent = `${grid.leftX.toFixed(2)} / ${grid.rightX.toFixed(2)}`;
+      const deg = (v) => (v == null ? "–" : `${Math.round(v)}°`), angles = CalibAuto.romAngles(grid);
+      kpiAngle.textContent = `${deg(window.liveFeedback?.shoulderAbductionAngle(lm, "left", grid.aspect))} / ${deg(window.liveFeedback?.shoulderAbductionAngle(lm, "right", grid.aspect))}`;
+      kpiMaxAngle.textContent = `${deg(angles.maxAngleLeft)} / ${deg(angles.maxAngleRight)}`;
 
       const remaining = Math.max(0, grid.holdSeconds * (1 - r.progress));
       sideTimer.textContent = `${remaining.toFixed(1)}s`;
       sideFill.style.width = `${(r.progress * 100).toFixed(1)}%`;
 
       const hipsOK = ((lm[23]?.visibility ?? 0) >= grid.minVis) && ((lm[24]?.visibility ?? 0) >= grid.minVis);
-      hipTip.textContent = hipsOK ? "Hips detected — hold steady on a dot." : "Waist not detected — step back so hips are visible.";
-
-      if (grid.step === "left") { armLabel.textContent = "LEFT"; armDot.style.background = "#ffd1df"; }
-      else if (grid.step === "right") { armLabel.textContent = "RIGHT"; armDot.style.background = "#bfe1ff"; }
-
-      if (grid.step === "done") {
-  setStatus("Done! Calibration captured.");
-  if (!savedOnce) {
-    savedOnce = true;
-    const payload = saveCalibration();
-    console.log("[calibration] saved", payload);
-
-    // get redirect target or default to dashboard
-    const next = new URLSearchParams(location.search).get("next") || "exercise.html";
-
-
-    // redirect after short delay
-    // redirect after short delay (navigate parent if inside iframe)
-setTimeout(() => {
-  if (window.top && window.top !== window) {
-    try { window.top.location.assign(next); }
-    catch { window.location.assign(next); }
-  } else {
-    window.location.assign(next);
-  }
-}, 1000);
-
-  }
-}
-
+      hipTip.textContent = msg(hipsOK ? "calib.hipsOK" : "calib.hipsMissing");
+      if (!hipsOK && hipsWereOK) window.AudioCoach?.sayKey("calib.hipsMissingSpoken", {}, { type: "warning" });
+      hipsWereOK = hipsOK;
+
+      showStep(grid.step);
+
+      if (grid.step === "done" && !savedOnce) {
+        savedOnce = true;
+        window.AudioCoach?.earcon("done");
+        setStatus(msg("calib.done"), "success");
+        const payload = saveCalibration(); // null (with the reason in status) if validation rejected it
+        stopRecording();
+        if (payload) {
+          console.log("[calibration] saved", payload);
+          window.Embed?.emit("calibration-saved", { payload });
+
+          // get redirect target or default to dashboard
+          const next = new URLSearchParams(location.search).get("next") || "exercise.html";
+
+          // redirect after short delay (navigate parent if inside iframe) — unless an embedding host
+          // takes it from here (embed.js)
+          if (window.Embed && !window.Embed.shouldRedirect()) return;
+          setTimeout(() => {
+            if (window.top && window.top !== window) {
+              try { window.top.location.assign(next); }
+              catch { window.location.assign(next); }
+            } else {
+              window.location.assign(next);
+            }
+          }, 1000);
+        }
+      }
     }
     requestAnimationFrame(mainLoop);
   }
 
-  btnStart.onclick = () => start().catch(e => { setStatus(`Start failed: ${e?.message || e}`); btnStart.disabled = false; });
+  btnStart.onclick = () => start().catch(e => { setStatus(msg("common.startFailed", { error: e?.message || e }), "warning"); btnStart.disabled = false; });
+  btnFile.onclick = async () => {
+    const file = await window.PoseSource.pickFile();
+    if (file) start(file).catch(e => { setStatus(msg("common.startFailed", { error: e?.message || e }), "warning"); btnStart.disabled = false; btnFile.disabled = false; });
+  };
   btnReset.onclick = () => reset();
+  btnRecord.onclick = () => (recorder ? stopRecording() : startRecording());
+  if (new URLSearchParams(location.search).get("record") === "1") startRecording();
+
+  // Host commands when embedded (embed.js)
+  window.Embed?.init("calibration", {
+    // start() reports a camera / model failure on the status line: pass that on
+    start: async () => { await start(); if (!running) throw new Error(statusEl.textContent || "Not started"); },
+    pause: () => { paused = true; },
+    resume: () => { paused = false; if (grid) grid._lastTs = null; if (quality) quality._goodSince = null; }, // the pause doesn't count as hold time
+    reset: () => reset()
+  });
 
   // Session resume: if you want, auto-start camera on load:
   // start().catch(()=>{});
@@ -0,0 +1,197 @@
+// compensation.js
+// Compensation and fatigue over time. LiveFeedback judges single frames; this keeps a rolling window
+// of torso features and reports patterns that persist, with hysteresis (separate on/off thresholds,
+// each held for onMs/offMs) so a cue doesn't flicker on one noisy frame:
+//
+//   shoulderHike  a shoulder rises toward its ear (shrugging), relative to the standing baseline
+//   trunkLean     the shoulders shift sideways over the hips (lateral lean), left or right
+//   leanBack      the shoulders move back behind the hips (landmark depth), e.g. arching in a press
+//   slowing       reps take clearly longer than the session's first reps
+//
+// Sustained fatigue — several slow reps in a row, or compensating for most of the recent window —
+// produces one "fatigue" event per set, which the page turns into a suggestion to end the set early.
+// Pure logic: no DOM; time comes from `clock` (or the timestamp passed to update) so recordings replay.
+//
+//   const comp = Compensation.create({ patterns: ["shoulderHike", "trunkLean"], sides: ["left"], aspect: 16 / 9 });
+//   comp.update(landmarks)  → events [{ type: "start" | "end", pattern, side? } | { type: "fatigue", reason }]
+//   comp.recordRep(ms)      → events (slowing / fatigue)
+//   comp.active()           → [{ pattern, side }] currently on
+//   comp.startSet(); comp.summary()  // per-session counts for the session record
+
+(function () {
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const vis = (p, t) => !!p && (p.visibility ?? 1) >= t;
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z ?? 0) + (b.z ?? 0)) / 2 });
+  const mean = (xs) => { const v = xs.filter(isNum); return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null; };
+  const median = (xs) => { const s = xs.filter(isNum).sort((a, b) => a - b), m = s.length >> 1; return !s.length ? null : s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2; };
+
+  // [on, off] thresholds: shoulder hike as a fraction of torso length, lean in degrees, lean back in
+  // landmark depth units (shoulders' z minus hips' z, relative to the baseline)
+  const THRESHOLDS = { shoulderHike: [0.07, 0.04], trunkLean: [10, 6], leanBack: [0.12, 0.06] };
+
+  const Compensation = {
+    PATTERNS: ["shoulderHike", "trunkLean", "leanBack"],
+
+    create({
+      patterns = ["trunkLean"], sides = ["left", "right"], aspect = 1, minVis = 0.5,
+      smoothMs = 500,        // features are averaged over this much of the window
+      windowMs = 30000,      // rolling window kept (for the "compensating most of the time" check)
+      baselineMs = 1500,     // standing baseline from the first visible frames
+      onMs = 600, offMs = 800,
+      slowRatio = 1.5,       // a rep this much slower than the reference counts as slow
+      refReps = 3,           // reference = median of the session's first reps
+      slowingReps = 2,       // consecutive slow reps → "slowing" cue
+      fatigueReps = 3,       // … → fatigue
+      fatigueShare = 0.5,    // compensating this share of the last fatigueWindowMs → fatigue
+      fatigueWindowMs = 20000,
+      thresholds = THRESHOLDS,
+      clock = () => performance.now()
+    } = {}) {
+      return {
+        patterns: patterns.filter((p) => this.PATTERNS.includes(p)), sides, aspect, minVis, smoothMs, windowMs, baselineMs,
+        onMs, offMs, slowRatio, refReps, slowingReps, fatigueReps, fatigueShare, fatigueWindowMs,
+        thresholds: { ...THRESHOLDS, ...thresholds }, clock,
+        frames: [],               // { t, f: features, comp: any pattern active }
+        baseline: null, _baseFrames: [], _baseStart: null,
+        detectors: {},            // key → { active, pending, startedAt }
+        counts: {}, activeMs: {},
+        reps: [], refMs: null, slowStreak: 0, slowingOn: false,
+        fatigueSuggested: false, fatigueEvents: 0,
+
+        update(lm, t = this.clock()) { return Compensation._update(this, lm, t); },
+        recordRep(ms) { return Compensation._recordRep(this, ms); },
+        // Patterns on right now, in PATTERNS order: [{ pattern, side }]
+        active() {
+          return Object.entries(this.detectors).filter(([, d]) => d.active)
+            .map(([key]) => { const [pattern, side = null] = key.split(":"); return { pattern, side }; })
+            .sort((a, b) => Compensation.PATTERNS.indexOf(a.pattern) - Compensation.PATTERNS.indexOf(b.pattern));
+        },
+        // Fresh set: rep streak and the fatigue suggestion reset; counts keep going for the session
+        startSet() { this.slowStreak = 0; this.slowingOn = false; this.fatigueSuggested = false; this.frames = []; },
+        summary() {
+          return {
+            counts: { ...this.counts }, activeMs: Object.fromEntries(Object.entries(this.activeMs).map(([k, v]) => [k, Math.round(v)])),
+            referenceRepMs: this.refMs == null ? null : Math.round(this.refMs), fatigueSuggestions: this.fatigueEvents
+          };
+        }
+      };
+    },
+
+    // Torso features for one frame, or null when the torso isn't visible
+    features(m, lm) {
+      const [ls, rs, lh, rh] = [lm?.[11], lm?.[12], lm?.[23], lm?.[24]];
+      if (![ls, rs, lh, rh].every((p) => vis(p, m.minVis))) return null;
+      const sh = mid(ls, rs), hip = mid(lh, rh);
+      const torso = Math.hypot((sh.x - hip.x) * m.aspect, sh.y - hip.y);
+      if (!(torso > 0.02)) return null;
+      // ears (7/8), or the nose when an ear is hidden: shoulder→ear height shrinks when shrugging
+      const head = (ear) => (vis(lm[ear], m.minVis) ? lm[ear] : vis(lm[0], m.minVis) ? lm[0] : null);
+      const earL = head(7), earR = head(8);
+      return {
+        // raw camera coordinates: the patient's left is at larger x, so + = leaning to their left
+        leanDeg: Math.atan2((sh.x - hip.x) * m.aspect, hip.y - sh.y) * 180 / Math.PI,
+        neckL: earL ? (ls.y - earL.y) / torso : null,
+        neckR: earR ? (rs.y - earR.y) / torso : null,
+        depth: isNum(sh.z) && isNum(hip.z) ? sh.z - hip.z : null
+      };
+    },
+
+    _update(m, lm, t) {
+      const f = this.features(m, lm);
+      if (!f) return [];
+      if (!m.baseline) {
+        if (m._baseStart == null) m._baseStart = t;
+        m._baseFrames.push(f);
+        if (t - m._baseStart < m.baselineMs) return [];
+        const pick = (k) => median(m._baseFrames.map((x) => x[k]));
+        m.baseline = { leanDeg: pick("leanDeg"), neckL: pick("neckL"), neckR: pick("neckR"), depth: pick("depth") };
+      }
+
+      m.frames.push({ t, f, comp: false });
+      while (m.frames.length && t - m.frames[0].t > m.windowMs) m.frames.shift();
+      const recent = m.frames.filter((x) => t - x.t <= m.smoothMs).map((x) => x.f);
+      const avg = (k) => mean(recent.map((x) => x[k]));
+      const b = m.baseline, th = m.thresholds, events = [];
+
+      const checks = [];
+      if (m.patterns.includes("shoulderHike")) {
+        // only the arms taking part (one-sided work: the other arm may rest however it likes)
+        for (const [side, k] of [["left", "neckL"], ["right", "neckR"]].filter(([side]) => m.sides.includes(side))) {
+          const v = avg(k);
+          checks.push(["shoulderHike", side, isNum(v) && isNum(b[k]) ? b[k] - v : null, th.shoulderHike]);
+        }
+      }
+      if (m.patterns.includes("trunkLean")) {
+        const v = avg("leanDeg"), d = isNum(v) && isNum(b.leanDeg) ? v - b.leanDeg : null;
+        checks.push(["trunkLean", "left", d, th.trunkLean]);
+        checks.push(["trunkLean", "right", d == null ? null : -d, th.trunkLean]);
+      }
+      if (m.patterns.includes("leanBack")) {
+        const v = avg("depth");
+        checks.push(["leanBack", null, isNum(v) && isNum(b.depth) ? v - b.depth : null, th.leanBack]);
+      }
+
+      for (const [pattern, side, value, [on, off]] of checks) {
+        const key = side ? `${pattern}:${side}` : pattern;
+        const d = m.detectors[key] || (m.detectors[key] = { active: false, pending: null, startedAt: null });
+        if (value == null) { d.pending = null; continue; }
+        // hysteresis: switching on needs value ≥ on for onMs, switching off needs value < off for offMs
+        const wants = d.active ? value >= off : value >= on;
+        if (wants === d.active) { d.pending = null; }
+        else if (d.pending == null) d.pending = t;
+        else if (t - d.pending >= (d.active ? m.offMs : m.onMs)) {
+          d.active = wants; d.pending = null;
+          const name = this.countKey(pattern, side);
+          if (wants) { d.startedAt = t; m.counts[name] = (m.counts[name] || 0) + 1; }
+          else m.activeMs[name] = (m.activeMs[name] || 0) + (t - d.startedAt);
+          events.push({ type: wants ? "start" : "end", pattern, side });
+        }
+      }
+
+      const anyActive = Object.values(m.detectors).some((d) => d.active);
+      m.frames[m.frames.length - 1].comp = anyActive;
+      if (!m.fatigueSuggested) {
+        const win = m.frames.filter((x) => t - x.t <= m.fatigueWindowMs);
+        const span = win.length ? t - win[0].t : 0;
+        if (span >= m.fatigueWindowMs * 0.8 && win.filter((x) => x.comp).length / win.length >= m.fatigueShare) {
+          events.push(this._fatigue(m, "compensating"));
+        }
+      }
+      return events;
+    },
+
+    _recordRep(m, ms) {
+      if (!isNum(ms) || ms <= 0) return [];
+      m.reps.push(ms);
+      if (m.reps.length <= m.refReps) { if (m.reps.length === m.refReps) m.refMs = median(m.reps); return []; }
+      const events = [];
+      const slow = ms > m.refMs * m.slowRatio;
+      m.slowStreak = slow ? m.slowStreak + 1 : 0;
+      if (m.slowStreak >= m.slowingReps && !m.slowingOn) {
+        m.slowingOn = true; m.counts.slowing = (m.counts.slowing || 0) + 1;
+        events.push({ type: "start", pattern: "slowing", side: null });
+      } else if (!slow && m.slowingOn) {
+        m.slowingOn = false;
+        events.push({ type: "end", pattern: "slowing", side: null });
+      }
+      if (m.slowStreak >= m.fatigueReps && !m.fatigueSuggested) events.push(this._fatigue(m, "slowing"));
+      return events;
+    },
+
+    _fatigue(m, reason) {
+      m.fatigueSuggested = true; m.fatigueEvents++;
+      return { type: "fatigue", reason };
+    },
+
+    // Landmarks a pattern is about (skeleton highlighting): shoulder + ear, or the torso
+    points(pattern, side) {
+      if (pattern === "shoulderHike") return side === "right" ? [12, 8] : [11, 7];
+      return pattern === "slowing" ? [] : [11, 12, 23, 24];
+    },
+
+    // Name used in counts / catalog keys: shoulderHikeLeft, trunkLeanRight, leanBack, slowing
+    countKey(pattern, side) { return side ? `${pattern}${side[0].toUpperCase()}${side.slice(1)}` : pattern; }
+  };
+
+  window.Compensation = Compensation;
+})();
@@ -0,0 +1,98 @@
+// embed.js
+// postMessage protocol for host applications (e.g. a patient portal) that embed calibration.html or
+// exercise.html in an <iframe>. Every message is a plain object tagged `rehabify: 1`.
+//
+// Page → host events  { rehabify: 1, type: "event", page, name, detail }
+//   ready               { page, commands }             page loaded and listening
+//   calibration-saved   { payload }                    calibration.html: the validated payload (calibration-schema.js)
+//   star-popped         { side, level, rep }           exercise.html: a target was reached
+//   rep-complete        { level, rep, side, reps }     side: null when both sides count together
+//   level-complete      { level, levels }
+//   session-complete    { session }                    the SessionStore record (reps, calibration, events, …)
+//   feedback-shown      { message, type, key }         a coaching message (LiveFeedback)
+//   calibration-stale   { reasons }                    exercise.html: too old or outgrown (reach-check.js); a re-check is offered
+//   calibration-rechecked { payload, results }         exercise.html: max reach re-checked in session and saved
+//
+// Host → page commands { rehabify: 1, type: "command", name, id?, args? }
+//   hello                                              connect (see redirects below); replies with the page's commands
+//   start | pause | resume | reset
+//   load-prescription   { prescription }               exercise.html: validate, store and start the plan (reloads)
+//   recheck                                            exercise.html: start the reach re-check (starts the camera if needed)
+// Each command is answered with { rehabify: 1, type: "result", page, name, id, ok, error?, detail? }.
+//
+// Origins: commands are accepted only from the page's own origin and the origins listed in
+//   <meta name="rehabify-embed-origins" content="https://portal.example.org https://…">
+// (deployment configuration — never taken from the URL). Events are posted with one of those origins
+// as targetOrigin, so a page framed by anyone else sends them nowhere.
+//
+// Redirects: once a host has sent any accepted command, the pages stop navigating on their own when they
+// finish (calibration → exercise, exercise → COMPLETE_REDIRECT) and leave it to the host; ?redirect=0 does
+// the same without a host.
+//
+//   Embed.init("exercise", { start: () => …, pause: () => … });   // handlers may return a value or a Promise
+//   Embed.emit("rep-complete", { level, rep, side, reps });
+//   if (Embed.shouldRedirect()) location.href = next;
+
+(function () {
+  const TAG = 1;
+
+  function configuredOrigins() {
+    const meta = document.querySelector('meta[name="rehabify-embed-origins"]');
+    const listed = (meta?.content || "").split(/\s+/).filter(Boolean).map((o) => {
+      try { return new URL(o).origin; } catch { return null; }
+    }).filter(Boolean);
+    return [...new Set([window.location.origin, ...listed])];
+  }
+
+  const Embed = {
+    page: null,
+    handlers: {},
+    allowedOrigins: [],
+    hostOrigin: null,           // origin of the host that sent the first accepted command
+    get embedded() { return window.parent !== window; },
+    get connected() { return this.hostOrigin != null; },
+
+    init(page, handlers = {}, { allowedOrigins = configuredOrigins() } = {}) {
+      this.page = page;
+      this.handlers = { ...handlers };
+      this.allowedOrigins = allowedOrigins;
+      if (!this._listening) {
+        window.addEventListener("message", (e) => this._onMessage(e));
+        this._listening = true;
+      }
+      this.emit("ready", { page, commands: this.commands() });
+      return this;
+    },
+
+    // Commands this page answers (besides hello)
+    commands() { return Object.keys(this.handlers); },
+
+    emit(name, detail = {}) {
+      if (!this.embedded) return;
+      const msg = { rehabify: TAG, type: "event", page: this.page, name, detail };
+      for (const origin of this.hostOrigin ? [this.hostOrigin] : this.allowedOrigins) {
+        try { window.parent.postMessage(msg, origin); } catch (e) { console.warn("Embed event not posted:", e); }
+      }
+    },
+
+    // Hand navigation to the host once one is connected (or ?redirect=0)
+    shouldRedirect() {
+      return !this.connected && new URLSearchParams(window.location.search).get("redirect") !== "0";
+    },
+
+    async _onMessage(e) {
+      const data = e.data;
+      if (!data || data.rehabify !== TAG || data.type !== "command") return;
+      if (!this.allowedOrigins.includes(e.origin)) { console.warn(`Embed command from ${e.origin} ignored (not allow-listed)`); return; }
+      this.hostOrigin = e.origin;
+      const reply = (ok, extra) => e.source?.postMessage({ rehabify: TAG, type: "result", page: this.page, name: data.name, id: data.id ?? null, ok, ...extra }, e.origin);
+      if (data.name === "hello") return reply(true, { detail: { page: this.page, commands: this.commands() } });
+      const fn = this.handlers[data.name];
+      if (!fn) return reply(false, { error: `Unknown command "${data.name}"` });
+      try { reply(true, { detail: (await fn(data.args || {})) ?? null }); }
+      catch (err) { reply(false, { error: err?.message || String(err) }); }
+    }
+  };
+
+  window.Embed = Embed;
+})();
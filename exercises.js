@@ -0,0 +1,232 @@
+// exercises.js
+// Exercise registry for exercise.html. Each definition says which landmarks pop the stars, where the
+// stars go for a level, when a side has reached its star and when it counts as "reset", and which
+// LiveFeedback routine coaches it.
+// `repSource: "feedback"` exercises are counted by LiveFeedback.trackReps instead of star pops
+// (no stars on screen); `?reps=stars|feedback` overrides that per session.
+//
+// Coordinates are display-space (already mirrored): x 0..1 left→right on screen, y 0..1 top→bottom.
+// `ctx` is built by the exercise page:
+//   { xLeft, xRight, baseLeftY, baseRightY, neutralY, downDelta, ladder, baseline,
+//     pose, aspect, armLen, prescribedDeg, progression }
+// where `baseline` is the first full pose seen after Start (display-space landmarks), or null,
+// `pose` is the current frame (display-space), `aspect` the video width / height, and
+// `prescribedDeg` an optional { left, right } abduction target in degrees (?targetDeg=90), and
+// `progression` the adaptive engine (progression.js) whose per-side steps replace "one step per level".
+// maxSteps(ctx, side) is that engine's safety cap for a side. `unilateral` exercises (the arm ones) can
+// run one-sided for an affected arm: the page then only places stars for the sides taking part.
+// `compensation` lists the patterns compensation.js watches for over time (shrugging, leaning).
+
+(function () {
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+  const vis = (p, t = 0.5) => !!p && (p.visibility ?? 1) > t;
+  const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  // Progression steps above the set-1 target: the adaptive engine's when the page runs one, else one per level
+  const stepsFor = (ctx, level, side) => (ctx.progression ? ctx.progression.steps(side) : level - 1);
+  const REACH_ALLOWANCE = 0.02; // targets may sit this far above the calibrated max reach
+  const ANGLE_ALLOWANCE = 5;    // … or this many degrees past the calibrated max angle
+
+  // --- Abduction geometry. Works in aspect-corrected units (x * aspect) so degrees are real degrees.
+  const SIDE_IDX = { left: { hip: 23, sh: 11, el: 13, wr: 15, other: 12 }, right: { hip: 24, sh: 12, el: 14, wr: 16, other: 11 } };
+
+  // Shoulder→elbow→wrist length for one side, or null if the arm isn't visible.
+  function armLength(lm, side, aspect) {
+    const k = SIDE_IDX[side], s = lm?.[k.sh], e = lm?.[k.el], w = lm?.[k.wr];
+    if (!vis(s) || !vis(e) || !vis(w)) return null;
+    const d = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+    return d(s, e) + d(e, w);
+  }
+
+  // Where the wrist sits when the arm is abducted `deg` away from the trunk (shoulder→hip line).
+  function abductionPoint(lm, side, deg, aspect, len) {
+    const k = SIDE_IDX[side], hip = lm?.[k.hip], sh = lm?.[k.sh], other = lm?.[k.other];
+    if (!vis(hip) || !vis(sh) || !vis(other) || !len) return null;
+    let ux = (hip.x - sh.x) * aspect, uy = hip.y - sh.y;
+    const n = Math.hypot(ux, uy) || 1; ux /= n; uy /= n;
+    const out = Math.sign(sh.x - other.x) || (side === "left" ? -1 : 1); // away from the other shoulder
+    const phi = -out * deg * Math.PI / 180;
+    const dx = ux * Math.cos(phi) - uy * Math.sin(phi), dy = ux * Math.sin(phi) + uy * Math.cos(phi);
+    return { xD: clamp(sh.x + (dx * len) / aspect, 0.02, 0.98), yN: clamp(sh.y + dy * len, 0.02, 0.98) };
+  }
+
+  // Patient-facing text lives in the i18n.js catalog under exercise.<id>.title|hint|instruction|reset.left|reset.right
+  const text = (def, part, params) => {
+    const key = `exercise.${def.id}.${part}`;
+    return window.I18n ? window.I18n.t(key, params) : key;
+  };
+
+  // Tracked point at or past the target's height along `direction` (reference-frame y)
+  function pastTarget(side, p, target) {
+    if (!p || !target) return false;
+    return this.direction === "down" ? p.y >= target.yN : p.y <= target.yN;
+  }
+
+  const DEFAULTS = {
+    levels: 3, repsPerLevel: 3, restSeconds: 5, heightStep: 0.04, direction: "up", needsBaseline: false, repSource: "stars",
+    compensation: ["trunkLean"],
+    maxSteps() { return this.levels; }, // one step past the planned final level
+    // Whether the tracked point `p` got to this side's `target` ({ xD, yN } from targets()) on top of
+    // being within the star's radius. Proximity is enough when targets sit well beyond the radius from
+    // the resting position; exercises whose targets are closer than that (legs) use pastTarget.
+    reached() { return true; },
+    resetCue(side) { return text(this, `reset.${side}`); }
+  };
+
+  const DEFS = {
+    shoulderAbduction: {
+      feedbackKey: "shoulderAbduction",
+      unilateral: true, // can be done with one (affected) arm, reps counted per side
+      compensation: ["shoulderHike", "trunkLean"],
+      trackers: { left: 15, right: 16 }, // wrists
+      usesCalibration: true,
+      degStep: 5, // degrees between levels; the last level asks for the full target
+      // Abduction target (degrees) for a side at a level: the final level asks for the prescribed angle,
+      // else the calibrated max. null when neither is known → stars stay on the calibrated ladder heights.
+      targetDeg(ctx, level, side) {
+        const top = this._topDeg(ctx, side);
+        if (!Number.isFinite(top)) return null;
+        return clamp(top - this.degStep * (this.levels - 1 - stepsFor(ctx, level, side)), 15, 180);
+      },
+      _topDeg(ctx, side) {
+        return Number.isFinite(ctx.prescribedDeg?.[side]) ? ctx.prescribedDeg[side]
+          : ctx.calib?.rom?.[side === "left" ? "maxAngleLeft" : "maxAngleRight"];
+      },
+      // Never past the calibrated max reach / angle (plus a small allowance)
+      maxSteps(ctx, side) {
+        const rom = ctx.calib?.rom, Side = side === "left" ? "Left" : "Right";
+        const top = this._topDeg(ctx, side), maxDeg = rom?.[`maxAngle${Side}`];
+        if (Number.isFinite(top) && Number.isFinite(maxDeg) && this.degStep > 0) {
+          return Math.max(0, Math.floor((maxDeg + ANGLE_ALLOWANCE - (top - this.degStep * (this.levels - 1))) / this.degStep));
+        }
+        const maxY = rom?.[`maxReach${Side}Y`], baseY = side === "left" ? ctx.baseLeftY : ctx.baseRightY;
+        if (Number.isFinite(maxY) && this.heightStep > 0) return Math.max(0, Math.floor((baseY - (maxY - REACH_ALLOWANCE)) / this.heightStep));
+        return this.levels;
+      },
+      // Star position for `deg` on the current pose (re-computed every frame), or null.
+      liveTarget(ctx, side, deg) { return abductionPoint(ctx.pose, side, deg, ctx.aspect, ctx.armLen?.[side]); },
+      armLength(ctx, side) { return armLength(ctx.pose, side, ctx.aspect); },
+      measure(ctx, side) { return window.liveFeedback?.shoulderAbductionAngle(ctx.pose, side, ctx.aspect) ?? null; },
+      targets(ctx, level) {
+        const y = (side, baseY) => clamp(baseY - this.heightStep * stepsFor(ctx, level, side), ctx.ladder.yTop, ctx.ladder.yBottom);
+        return {
+          left: { xD: ctx.xLeft, yN: y("left", ctx.baseLeftY) },
+          right: { xD: ctx.xRight, yN: y("right", ctx.baseRightY) }
+        };
+      },
+      isReset(side, p, ctx) { return (p?.y ?? 1) >= ctx.neutralY + ctx.downDelta; }
+    },
+
+    overheadPress: {
+      feedbackKey: "overheadPress",
+      unilateral: true,
+      compensation: ["shoulderHike", "trunkLean", "leanBack"], // arching back to get the hands higher
+      trackers: { left: 15, right: 16 },
+      needsBaseline: [0, 11, 12],
+      heightStep: 0.03,
+      targets(ctx, level) {
+        const b = ctx.baseline, y = (side) => clamp(b[0].y - 0.10 - this.heightStep * stepsFor(ctx, level, side), 0.04, 0.9);
+        return { left: { xD: b[11].x, yN: y("left") }, right: { xD: b[12].x, yN: y("right") } };
+      },
+      isReset(side, p, ctx) {
+        const sh = ctx.baseline[side === "left" ? 11 : 12];
+        return !!p && p.y >= sh.y - 0.02;
+      }
+    },
+
+    forwardReach: {
+      feedbackKey: "forwardReach",
+      unilateral: true,
+      compensation: ["shoulderHike", "trunkLean"],
+      trackers: { left: 15, right: 16 },
+      needsBaseline: [11, 12],
+      heightStep: 0.03, // reach step (outwards: to the side, as LiveFeedback and its rules count and coach it)
+      targets(ctx, level) {
+        const b = ctx.baseline, reach = (side) => 0.16 + this.heightStep * stepsFor(ctx, level, side);
+        // the patient's left side sits on screen-left in the mirrored view
+        const outL = b[11].x <= b[12].x ? -1 : 1;
+        return {
+          left: { xD: clamp(b[11].x + outL * reach("left"), 0.04, 0.96), yN: b[11].y },
+          right: { xD: clamp(b[12].x - outL * reach("right"), 0.04, 0.96), yN: b[12].y }
+        };
+      },
+      isReset(side, p, ctx) {
+        const sh = ctx.baseline[side === "left" ? 11 : 12];
+        return !!p && Math.abs(p.x - sh.x) <= 0.08;
+      }
+    },
+
+    miniSquats: {
+      feedbackKey: "miniSquats",
+      trackers: { left: 23, right: 24 }, // hips
+      needsBaseline: [23, 24, 25, 26],
+      repSource: "feedback", // knee angle through the 140–170° band
+      direction: "down",
+      heightStep: 0.015,
+      targets(ctx, level) {
+        const b = ctx.baseline;
+        // never ask for more than a third of the standing hip→knee drop
+        const maxDepth = Math.max(0.03, (mid(b[25], b[26]).y - mid(b[23], b[24]).y) / 3);
+        const d = (side) => clamp(0.05 + this.heightStep * stepsFor(ctx, level, side), 0.01, maxDepth);
+        return { left: { xD: b[23].x, yN: b[23].y + d("left") }, right: { xD: b[24].x, yN: b[24].y + d("right") } };
+      },
+      reached: pastTarget, // the star is a few cm below the standing hip: well inside its radius
+      isReset(side, p, ctx) {
+        const hip = ctx.baseline[side === "left" ? 23 : 24];
+        return !!p && p.y <= hip.y + 0.015;
+      }
+    },
+
+    marchingInPlace: {
+      feedbackKey: "marchingInPlace",
+      trackers: { left: 25, right: 26 }, // knees
+      needsBaseline: [23, 24, 25, 26],
+      repSource: "feedback", // alternating knee lifts above the hip
+      heightStep: 0.02,
+      targets(ctx, level) {
+        const b = ctx.baseline;
+        const lift = (side, hip, knee) => clamp(knee.y - (knee.y - hip.y) * 0.55 - this.heightStep * stepsFor(ctx, level, side), hip.y - 0.02, knee.y - 0.04);
+        return {
+          left: { xD: b[25].x, yN: lift("left", b[23], b[25]) },
+          right: { xD: b[26].x, yN: lift("right", b[24], b[26]) }
+        };
+      },
+      reached: pastTarget, // the star is half a thigh above the standing knee: inside its radius
+      isReset(side, p, ctx) {
+        const knee = ctx.baseline[side === "left" ? 25 : 26];
+        return !!p && p.y >= knee.y - 0.03;
+      }
+    }
+  };
+
+  const registry = {};
+  for (const [id, def] of Object.entries(DEFS)) {
+    registry[id] = Object.defineProperties({ ...DEFAULTS, ...def, id }, {
+      title: { get() { return text(this, "title"); }, enumerable: true },
+      instruction: { get() { return text(this, "instruction"); }, enumerable: true },
+      hint: { get() { return text(this, "hint", { reps: this.repsPerLevel, rest: this.restSeconds }); }, enumerable: true }
+    });
+  }
+
+  window.ExerciseRegistry = {
+    DEFAULT_ID: "shoulderAbduction",
+
+    list() { return Object.values(registry); },
+
+    // Catalog text for a definition: part is "title", "hint", "instruction", "reset.left" or "reset.right"
+    text(def, part, params) { return text(def, part, params); },
+
+    get(id) { return registry[id] || null; },
+
+    // Resolve from ?exercise=… (falls back to the default exercise)
+    fromLocation(loc = window.location) {
+      const id = new URLSearchParams(loc.search).get("exercise");
+      return registry[id] || registry[this.DEFAULT_ID];
+    },
+
+    // True once the landmarks a definition anchors its targets on are all visible.
+    baselineReady(def, lmDisplay) {
+      if (!def.needsBaseline) return true;
+      return !!lmDisplay && def.needsBaseline.every((i) => vis(lmDisplay[i]));
+    }
+  };
+})();
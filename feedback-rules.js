@@ -0,0 +1,325 @@
+// feedback-rules.js
+// Declarative coaching rules for LiveFeedback. Each exercise is an ordered list of rules; every frame
+// the rules whose conditions all hold "fire", and the one with the highest severity (warning >
+// correction > success) is shown — ties go to the rule listed first. Thresholds live here (or in a
+// JSON file, see load/parse), so exercises can be added or tuned without touching live-feedback.js.
+//
+//   {
+//     "format": "rehabify-rules-v1",
+//     "exercises": {
+//       "shoulderAbduction": [
+//         { "id": "elbowLeft", "message": "lf.straightenLeftElbow", "severity": "correction", "sides": "left",
+//           "when": [{ "metric": { "angle": [11, 13, 15] }, "op": "<", "value": 160, "release": 5 }] }
+//       ]
+//     }
+//   }
+//
+// Rule fields: id, message (i18n.js key), severity, when (conditions, all must hold), and optionally
+//   sides   "both" | "one" | "left" | "right" — only when those arms take part (LiveFeedback.setSides)
+//   phase   "up" | "waitDown" — only in that phase (LiveFeedback.setPhase)
+//   hold    frames the conditions must hold before the rule fires (default 1)
+// Condition: { metric, op: "<" | "<=" | ">" | ">=", value, side?, release? }. `side` names the arm the
+// condition is about: it passes when that arm isn't taking part. `release` is the hysteresis: once the
+// rule fires, the condition keeps holding until the metric is `release` past `value` the other way.
+//
+// Metrics (points: a landmark index, or [i, j] for their midpoint; null when a point isn't visible,
+// which fails the condition):
+//   { "angle": [a, b, c] }                 angle at b, degrees
+//   { "dx": [a, b] } / { "dy": [a, b] }    b.x − a.x / b.y − a.y ("abs": true for the magnitude)
+//   { "dist": [a, b] }                     straight-line distance
+//   { "above": [p, ref] }                  ref.y − p.y: how far p is above ref
+//   { "belowTarget": p, "side": s }        p.y − that side's target height (setTargets): > 0 is short of it
+//   { "belowNeutral": p }                  p.y − (neutralY + downBuffer): ≥ 0 is lowered enough to reset
+//   { "hidden": [points] }                 how many of the points aren't visible (never null)
+//   { "sum" | "min" | "max": [metrics] }   combine metrics
+
+(function () {
+  const FORMAT = "rehabify-rules-v1";
+  const SEVERITY = { warning: 3, correction: 2, success: 1 };
+  const OPS = { "<": (a, b) => a < b, "<=": (a, b) => a <= b, ">": (a, b) => a > b, ">=": (a, b) => a >= b };
+  const SIDES = ["both", "one", "left", "right"], PHASES = ["up", "waitDown"];
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const fmt = (v) => JSON.stringify(v);
+
+  // Shorthands for the defaults below (plain JSON once written out)
+  const m = (metric, op, value, extra) => ({ metric, op, value, ...extra });
+  const hidden = (...points) => m({ hidden: points }, ">", 0);
+
+  const DEFAULT = {
+    format: FORMAT,
+    exercises: {
+      // ROM + down→up coaching; heights come from the page's per-side targets
+      shoulderAbduction: [
+        { id: "showShoulders", message: "lf.showShoulders", severity: "warning", when: [hidden(11, 12)] },
+        { id: "shouldersLevel", message: "lf.shouldersLevel", severity: "correction",
+          when: [m({ dy: [11, 12], abs: true }, ">", 0.05, { release: 0.01 })] },
+        { id: "elbowLeft", message: "lf.straightenLeftElbow", severity: "correction", sides: "left",
+          when: [m({ angle: [11, 13, 15] }, "<", 160, { release: 5 })] },
+        { id: "elbowRight", message: "lf.straightenRightElbow", severity: "correction", sides: "right",
+          when: [m({ angle: [12, 14, 16] }, "<", 160, { release: 5 })] },
+        { id: "showHandLeft", message: "lf.showHands", severity: "warning", sides: "left", when: [hidden(15)] },
+        { id: "showHandRight", message: "lf.showHands", severity: "warning", sides: "right", when: [hidden(16)] },
+        { id: "lowerBoth", message: "lf.lowerBothArms", severity: "correction", sides: "both", phase: "waitDown",
+          when: [m({ belowNeutral: 15 }, "<", 0), m({ belowNeutral: 16 }, "<", 0)] },
+        { id: "lowerLeft", message: "lf.lowerLeftArm", severity: "correction", sides: "left", phase: "waitDown",
+          when: [m({ belowNeutral: 15 }, "<", 0)] },
+        { id: "lowerRight", message: "lf.lowerRightArm", severity: "correction", sides: "right", phase: "waitDown",
+          when: [m({ belowNeutral: 16 }, "<", 0)] },
+        { id: "reset", message: "lf.greatReset", severity: "success", phase: "waitDown", hold: 8,
+          when: [m({ belowNeutral: 15 }, ">=", 0, { side: "left" }), m({ belowNeutral: 16 }, ">=", 0, { side: "right" })] },
+        { id: "raiseBoth", message: "lf.raiseBothArms", severity: "correction", sides: "both", phase: "up",
+          when: [m({ belowTarget: 15, side: "left" }, ">", 0.02), m({ belowTarget: 16, side: "right" }, ">", 0.02)] },
+        { id: "raiseLeft", message: "lf.raiseLeftArm", severity: "correction", sides: "left", phase: "up",
+          when: [m({ belowTarget: 15, side: "left" }, ">", 0.02)] },
+        { id: "raiseRight", message: "lf.raiseRightArm", severity: "correction", sides: "right", phase: "up",
+          when: [m({ belowTarget: 16, side: "right" }, ">", 0.02)] },
+        { id: "atHeight", message: "lf.niceHeight", severity: "success", phase: "up", hold: 5,
+          when: [m({ belowTarget: 15, side: "left" }, "<=", 0.02, { side: "left" }), m({ belowTarget: 16, side: "right" }, "<=", 0.02, { side: "right" })] }
+      ],
+
+      overheadPress: [
+        { id: "showShoulders", message: "lf.showShoulders", severity: "warning", when: [hidden(11, 12)] },
+        { id: "pressBoth", message: "lf.pressBoth", severity: "correction", sides: "both",
+          when: [m({ above: [15, 0] }, "<=", 0.1), m({ above: [16, 0] }, "<=", 0.1)] },
+        { id: "pressLeft", message: "lf.pressLeft", severity: "correction", sides: "left", when: [m({ above: [15, 0] }, "<=", 0.1)] },
+        { id: "pressRight", message: "lf.pressRight", severity: "correction", sides: "right", when: [m({ above: [16, 0] }, "<=", 0.1)] },
+        { id: "extendLeft", message: "lf.extendLeftArm", severity: "correction", sides: "left",
+          when: [m({ angle: [11, 13, 15] }, "<", 160, { release: 5 })] },
+        { id: "extendRight", message: "lf.extendRightArm", severity: "correction", sides: "right",
+          when: [m({ angle: [12, 14, 16] }, "<", 160, { release: 5 })] },
+        { id: "bothUp", message: "lf.bothHandsUp", severity: "success", sides: "both",
+          when: [m({ above: [15, 0] }, ">", 0.1), m({ above: [16, 0] }, ">", 0.1)] },
+        { id: "handUp", message: "lf.handUp", severity: "success", sides: "one",
+          when: [m({ above: [15, 0] }, ">", 0.1, { side: "left" }), m({ above: [16, 0] }, ">", 0.1, { side: "right" })] }
+      ],
+
+      // Arms out to the side at shoulder height, like the stars (exercises.js) and the rep counter
+      // (LiveFeedback repConfig.reachOut): raw landmarks put the patient's left at the larger x
+      forwardReach: [
+        { id: "showShoulders", message: "lf.showShoulders", severity: "warning", when: [hidden(11, 12)] },
+        { id: "reachBoth", message: "lf.reachForward", severity: "correction", sides: "both",
+          when: [m({ dx: [11, 15] }, "<=", 0.1), m({ dx: [12, 16] }, ">=", -0.1)] },
+        { id: "reachLeft", message: "lf.reachForwardLeft", severity: "correction", sides: "left", when: [m({ dx: [11, 15] }, "<=", 0.1)] },
+        { id: "reachRight", message: "lf.reachForwardRight", severity: "correction", sides: "right", when: [m({ dx: [12, 16] }, ">=", -0.1)] },
+        { id: "shouldersLevel", message: "lf.shouldersLevelReach", severity: "correction",
+          when: [m({ dy: [11, 12], abs: true }, ">", 0.05, { release: 0.01 })] },
+        { id: "goodReach", message: "lf.goodReach", severity: "success", when: [] } // nothing else to say
+      ],
+
+      // Mini squats: knees in the 140–170° band, over the ankles
+      miniSquats: [
+        { id: "showLegs", message: "lf.showLegs", severity: "warning", when: [hidden(23, 24, 25, 26, 27, 28)] },
+        { id: "bendKnees", message: "lf.bendKnees", severity: "correction",
+          when: [m({ angle: [23, 25, 27] }, ">", 170), m({ angle: [24, 26, 28] }, ">", 170)] },
+        { id: "tooDeep", message: "lf.notTooDeep", severity: "correction",
+          when: [m({ min: [{ angle: [23, 25, 27] }, { angle: [24, 26, 28] }] }, "<", 140, { release: 5 })] },
+        { id: "kneesOverAnkles", message: "lf.kneesOverAnkles", severity: "correction",
+          when: [m({ sum: [{ dx: [25, 27], abs: true }, { dx: [26, 28], abs: true }] }, ">", 0.1)] },
+        { id: "goodSquat", message: "lf.perfectSquat", severity: "success",
+          when: [m({ min: [{ dy: [23, 25], abs: true }, { dy: [24, 26], abs: true }] }, "<", 0.1)] }
+      ],
+
+      marchingInPlace: [
+        { id: "showBody", message: "lf.showBodyMarch", severity: "warning", when: [hidden(23, 24, 25, 26)] },
+        { id: "liftKnees", message: "lf.liftKnees", severity: "correction",
+          when: [m({ above: [25, 23] }, "<=", 0.05), m({ above: [26, 24] }, "<=", 0.05)] },
+        { id: "liftLeftHigher", message: "lf.liftLeftKnee", severity: "correction",
+          when: [m({ above: [25, 23] }, ">", 0.05), m({ above: [25, 23] }, "<", 0.08)] },
+        { id: "liftRightHigher", message: "lf.liftRightKnee", severity: "correction",
+          when: [m({ above: [26, 24] }, ">", 0.05), m({ above: [26, 24] }, "<", 0.08)] },
+        { id: "standStraight", message: "lf.standStraight", severity: "correction",
+          when: [m({ dx: [[23, 24], [11, 12]], abs: true }, ">", 0.05, { release: 0.01 })] },
+        { id: "goodLeftKnee", message: "lf.goodLeftKnee", severity: "success",
+          when: [m({ above: [25, 23] }, ">", 0.05), m({ angle: [23, 25, 27] }, "<", 90)] },
+        { id: "goodRightKnee", message: "lf.goodRightKnee", severity: "success",
+          when: [m({ above: [26, 24] }, ">", 0.05), m({ angle: [24, 26, 28] }, "<", 90)] }
+      ]
+    }
+  };
+
+  const METRIC_KEYS = ["angle", "dx", "dy", "dist", "above", "belowTarget", "belowNeutral", "hidden", "sum", "min", "max"];
+  const isPoint = (p) => (Number.isInteger(p) && p >= 0 && p < 33) || (Array.isArray(p) && p.length === 2 && p.every((i) => Number.isInteger(i) && i >= 0 && i < 33));
+
+  function checkMetric(metric, where, errors) {
+    const need = (cond, msg) => { if (!cond) errors.push(`${where}: ${msg}`); return cond; };
+    if (!need(metric && typeof metric === "object", "metric must be an object")) return;
+    const kind = METRIC_KEYS.find((k) => k in metric);
+    if (!need(kind, `metric needs one of ${METRIC_KEYS.join(", ")} (got ${fmt(metric)})`)) return;
+    const arg = metric[kind];
+    const points = (n) => need(Array.isArray(arg) && (n == null || arg.length === n) && arg.every(isPoint),
+      `${kind} needs ${n ?? "a list of"} landmark points (index 0..32 or [i, j]) (got ${fmt(arg)})`);
+    if (kind === "angle") points(3);
+    else if (["dx", "dy", "dist", "above"].includes(kind)) points(2);
+    else if (kind === "hidden") points(null);
+    else if (kind === "belowTarget" || kind === "belowNeutral") {
+      need(isPoint(arg), `${kind} needs a landmark point (got ${fmt(arg)})`);
+      if (kind === "belowTarget") need(["left", "right"].includes(metric.side), `belowTarget needs "side": "left" or "right"`);
+    } else if (need(Array.isArray(arg) && arg.length, `${kind} needs a list of metrics`)) {
+      arg.forEach((sub, i) => checkMetric(sub, `${where}.${kind}[${i}]`, errors));
+    }
+  }
+
+  function checkRule(rule, where, errors) {
+    const need = (cond, msg) => { if (!cond) errors.push(`${where}: ${msg}`); return cond; };
+    if (!need(rule && typeof rule === "object", "must be an object")) return;
+    need(typeof rule.message === "string" && rule.message, "message must be a catalog key");
+    need(rule.severity in SEVERITY, `severity must be one of ${Object.keys(SEVERITY).join(", ")} (got ${fmt(rule.severity)})`);
+    if ("sides" in rule) need(SIDES.includes(rule.sides), `sides must be one of ${SIDES.join(", ")} (got ${fmt(rule.sides)})`);
+    if ("phase" in rule) need(PHASES.includes(rule.phase), `phase must be one of ${PHASES.join(", ")} (got ${fmt(rule.phase)})`);
+    if ("hold" in rule) need(Number.isInteger(rule.hold) && rule.hold >= 1 && rule.hold <= 600, `hold must be an integer in 1..600 (got ${fmt(rule.hold)})`);
+    if (!need(Array.isArray(rule.when), "when must be a list of conditions")) return;
+    rule.when.forEach((c, i) => {
+      const at = `${where}.when[${i}]`;
+      if (!c || typeof c !== "object") { errors.push(`${at}: must be an object`); return; }
+      checkMetric(c.metric, at, errors);
+      if (!(c.op in OPS)) errors.push(`${at}: op must be one of ${Object.keys(OPS).join(" ")} (got ${fmt(c.op)})`);
+      if (!isNum(c.value)) errors.push(`${at}: value must be a number (got ${fmt(c.value)})`);
+      if ("release" in c && !(isNum(c.release) && c.release >= 0)) errors.push(`${at}: release must be a number ≥ 0 (got ${fmt(c.release)})`);
+      if ("side" in c && !["left", "right"].includes(c.side)) errors.push(`${at}: side must be "left" or "right" (got ${fmt(c.side)})`);
+    });
+  }
+
+  const FeedbackRules = {
+    FORMAT,
+    SEVERITY,
+    DEFAULT,
+
+    // { ok, errors }
+    validate(doc) {
+      const errors = [];
+      if (!doc || typeof doc !== "object") return { ok: false, errors: ["Rules are not an object"] };
+      if (doc.format !== FORMAT) errors.push(`format must be "${FORMAT}" (got ${fmt(doc.format)})`);
+      if (!doc.exercises || typeof doc.exercises !== "object") errors.push("exercises must be an object of rule lists");
+      else {
+        for (const [id, rules] of Object.entries(doc.exercises)) {
+          if (!Array.isArray(rules)) { errors.push(`exercises.${id}: must be a list of rules`); continue; }
+          rules.forEach((r, i) => checkRule(r, `exercises.${id}[${i}]`, errors));
+        }
+      }
+      return { ok: errors.length === 0, errors };
+    },
+
+    // Raw JSON string or object → { rules, errors }; rules is null unless valid.
+    parse(raw) {
+      let doc = raw;
+      if (typeof raw === "string") {
+        try { doc = JSON.parse(raw); } catch (e) { return { rules: null, errors: [`Rules are not valid JSON (${e.message})`] }; }
+      }
+      const v = this.validate(doc);
+      return { rules: v.ok ? doc : null, errors: v.errors };
+    },
+
+    // Fetch a rules JSON file → { rules, errors }
+    async load(url) {
+      let text;
+      try {
+        const res = await fetch(url, { cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        text = await res.text();
+      } catch (e) {
+        return { rules: null, errors: [`Could not load rules ${url} (${e.message})`] };
+      }
+      return this.parse(text);
+    },
+
+    // Rules to run: the defaults, with any exercise in `doc` replacing (or adding) its list.
+    merge(doc) {
+      return { format: FORMAT, exercises: { ...DEFAULT.exercises, ...(doc?.exercises || {}) } };
+    },
+
+    // Stateful evaluator (hold counters, hysteresis) over a rules document.
+    //   const engine = FeedbackRules.engine(FeedbackRules.DEFAULT);
+    //   engine.evaluate("miniSquats", landmarks, { sides, phase, targetY(side), neutralY, downBuffer, isVisible })
+    //     → the winning rule, or null
+    engine(doc = DEFAULT) {
+      return {
+        doc, exercise: null, state: new Map(), // rule → { frames, active }
+        reset() { this.state = new Map(); },
+        has(exercise) { return Array.isArray(this.doc.exercises?.[exercise]); },
+        evaluate(exercise, lm, ctx) {
+          if (exercise !== this.exercise) { this.exercise = exercise; this.reset(); }
+          let best = null;
+          for (const rule of this.doc.exercises?.[exercise] || []) {
+            const st = this.state.get(rule) || { frames: 0, active: false };
+            this.state.set(rule, st);
+            const ok = FeedbackRules._applies(rule, ctx) && rule.when.every((c) => FeedbackRules._holds(c, lm, ctx, st.active));
+            st.frames = ok ? st.frames + 1 : 0;
+            st.active = st.frames >= (rule.hold || 1);
+            if (st.active && (!best || SEVERITY[rule.severity] > SEVERITY[best.severity])) best = rule;
+          }
+          return best;
+        }
+      };
+    },
+
+    // Landmark indices a rule looks at (midpoints count both), e.g. for highlighting them on the skeleton
+    points(rule) {
+      const out = new Set();
+      const walk = (metric) => {
+        for (const [k, v] of Object.entries(metric || {})) {
+          if (k === "sum" || k === "min" || k === "max") v.forEach(walk);
+          else if (METRIC_KEYS.includes(k)) [].concat(v).flat().forEach((i) => out.add(i));
+        }
+      };
+      for (const c of rule?.when || []) walk(c.metric);
+      return [...out];
+    },
+
+    _applies(rule, ctx) {
+      const on = ctx.sides, n = (on.left ? 1 : 0) + (on.right ? 1 : 0);
+      if (rule.phase && rule.phase !== ctx.phase) return false;
+      switch (rule.sides) {
+        case "both": return n === 2;
+        case "one": return n === 1;
+        case "left": case "right": return !!on[rule.sides];
+        default: return true;
+      }
+    },
+
+    _holds(c, lm, ctx, active) {
+      if (c.side && !ctx.sides[c.side]) return true;
+      const v = this.measure(c.metric, lm, ctx);
+      if (v == null) return false;
+      // hysteresis: while firing, the threshold moves `release` the other way
+      const r = active ? c.release || 0 : 0;
+      const value = c.op[0] === "<" ? c.value + r : c.value - r;
+      return OPS[c.op](v, value);
+    },
+
+    // One metric's value for a frame, or null (hidden points)
+    measure(metric, lm, ctx) {
+      const pt = (p) => {
+        if (Array.isArray(p)) {
+          const [a, b] = p.map((i) => lm[i]);
+          return ctx.isVisible(a) && ctx.isVisible(b) ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : null;
+        }
+        return ctx.isVisible(lm[p]) ? lm[p] : null;
+      };
+      const abs = (v) => (v != null && metric.abs ? Math.abs(v) : v);
+      const pair = (points, f) => { const [a, b] = points.map(pt); return a && b ? abs(f(a, b)) : null; };
+      if ("angle" in metric) {
+        const [a, b, c] = metric.angle.map(pt);
+        if (!a || !b || !c) return null;
+        const rad = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+        const deg = Math.abs(rad * 180 / Math.PI);
+        return deg > 180 ? 360 - deg : deg;
+      }
+      if ("dx" in metric) return pair(metric.dx, (a, b) => b.x - a.x);
+      if ("dy" in metric) return pair(metric.dy, (a, b) => b.y - a.y);
+      if ("dist" in metric) return pair(metric.dist, (a, b) => Math.hypot(b.x - a.x, b.y - a.y));
+      if ("above" in metric) return pair(metric.above, (p, ref) => ref.y - p.y);
+      if ("belowTarget" in metric) { const p = pt(metric.belowTarget); return p ? p.y - ctx.targetY(metric.side) : null; }
+      if ("belowNeutral" in metric) { const p = pt(metric.belowNeutral); return p ? p.y - (ctx.neutralY + ctx.downBuffer) : null; }
+      if ("hidden" in metric) return metric.hidden.filter((p) => !pt(p)).length;
+      for (const k of ["sum", "min", "max"]) {
+        if (!(k in metric)) continue;
+        const vs = metric[k].map((sub) => this.measure(sub, lm, ctx));
+        if (vs.some((v) => v == null)) return null;
+        return abs(k === "sum" ? vs.reduce((a, b) => a + b, 0) : Math[k](...vs));
+      }
+      return null;
+    }
+  };
+
+  window.FeedbackRules = FeedbackRules;
+})();
@@ -0,0 +1,568 @@
+// i18n.js
+// Message catalog for every patient-facing string (coaching, status, calibration, exercise pages).
+// Strings are looked up by key with {named} parameters; a value may be { one, other } for counts
+// (chosen by the `count` parameter). Missing keys fall back to English, then to the key itself.
+//
+// Language: ?lang=es → saved choice (localStorage) → browser languages → English.
+// I18n.setLang() saves a manual choice; pages re-render by reloading (see mountPicker).
+// Static HTML opts in with data-i18n="key" (text), data-i18n-title="key" (tooltip); call I18n.apply().
+// Spoken cues (audio-coach.js sayKey) use the same keys, so speech and text always match.
+
+(function () {
+  const STORAGE_KEY = "rehabify_lang";
+  const NAMES = { en: "English", es: "Español" };
+
+  const CATALOGS = {
+    en: {
+      // --- shared
+      "app.title": "Rehabify – {title}",
+      "common.start": "▶ Start",
+      "common.reset": "Reset",
+      "common.record": "⏺ Record",
+      "common.stopRecording": "⏹ Stop Rec",
+      "common.recordTitle": "Save the landmark stream as JSON for replay",
+      "common.startingCamera": "Starting camera…",
+      "common.cameraError": "Camera error: {error}",
+      "common.useFile": "📁 Use file…",
+      "common.useFileTitle": "Play a video or a landmark recording instead of the camera",
+      "common.startingFile": "Loading file…",
+      "common.fileError": "File error: {error}",
+      "common.startFailed": "Start failed: {error}",
+      "common.language": "Language",
+      "audio.voice": "🔊 Voice",
+      "audio.muted": "🔇 Muted",
+      "audio.volume": "Voice volume",
+      "offline.badge": "⚡ Offline",
+      "offline.badgeTitle": "No connection: the app keeps working and sessions are queued for export",
+      "report.title": "Session report",
+      "report.patientId": "Patient ID (optional)",
+      "report.signedBy": "Signed off by (clinician)",
+      "report.role": "Role",
+      "report.note": "Note",
+      "report.print": "🖨 Print",
+      "report.done": "Done",
+      "report.failed": "Export failed: {error}",
+      "profile.label": "Profile",
+      "profile.default": "Default",
+      "profile.new": "＋ New",
+      "profile.newPrompt": "Name for the new profile (patient)",
+      "profile.delete": "Delete",
+      "profile.deleteConfirm": "Delete the profile “{name}” with its calibration, plan and session history? This can't be undone.",
+      "profile.export": "Export",
+      "profile.import": "Import…",
+      "profile.failed": "Profile: {error}",
+
+      // --- LiveFeedback coaching
+      "lf.showBody": "Keep your body visible",
+      "lf.showShoulders": "Keep both shoulders visible",
+      "lf.showHands": "Keep your hands visible",
+      "lf.shouldersLevel": "Keep your shoulders level",
+      "lf.straightenLeftElbow": "Straighten your left elbow",
+      "lf.straightenRightElbow": "Straighten your right elbow",
+      "lf.lowerBothArms": "Lower both arms to reset",
+      "lf.lowerLeftArm": "Lower your left arm to reset",
+      "lf.lowerRightArm": "Lower your right arm to reset",
+      "lf.greatReset": "Great reset! Ready for the next rep",
+      "lf.raiseBothArms": "Raise both arms higher",
+      "lf.raiseLeftArm": "Raise your left arm higher",
+      "lf.raiseRightArm": "Raise your right arm higher",
+      "lf.niceHeight": "Nice height! Hold…",
+      "lf.pressBoth": "Press both hands higher - above your head",
+      "lf.pressLeft": "Press your left hand higher",
+      "lf.pressRight": "Press your right hand higher",
+      "lf.extendLeftArm": "Extend your left arm fully",
+      "lf.extendRightArm": "Extend your right arm fully",
+      "lf.bothHandsUp": "Great! Both hands are up!",
+      "lf.handUp": "Great! Your hand is up!",
+      "lf.reachForward": "Reach forward with your arms",
+      "lf.reachForwardLeft": "Reach forward with your left arm",
+      "lf.reachForwardRight": "Reach forward with your right arm",
+      "lf.shouldersLevelReach": "Keep shoulders level while reaching",
+      "lf.goodReach": "Good reach! Hold the position",
+      "lf.comp.shoulderHikeLeft": "Relax your left shoulder down, away from your ear",
+      "lf.comp.shoulderHikeRight": "Relax your right shoulder down, away from your ear",
+      "lf.comp.trunkLeanLeft": "You're leaning left — keep your trunk upright",
+      "lf.comp.trunkLeanRight": "You're leaning right — keep your trunk upright",
+      "lf.comp.leanBack": "Don't lean back — keep your ribs down and your core tight",
+      "lf.comp.slowing": "Your reps are slowing down — take your time and breathe",
+      "lf.quality.slowerUp": "Slower on the way up — move under control",
+      "lf.quality.slowerDown": "Slower on the way down",
+      "lf.quality.goodTempo": "Nice controlled tempo!",
+      "lf.showLegs": "Show your full body - hips, knees, and ankles",
+      "lf.bendKnees": "Bend your knees more - mini squat down",
+      "lf.notTooDeep": "Don't squat too deep - keep it mini",
+      "lf.kneesOverAnkles": "Keep knees aligned over your ankles",
+      "lf.perfectSquat": "Perfect squat depth!",
+      "lf.showBodyMarch": "Show your full body for marching",
+      "lf.liftKnees": "Lift your knees higher - march in place",
+      "lf.liftLeftKnee": "Lift your left knee higher",
+      "lf.liftRightKnee": "Lift your right knee higher",
+      "lf.goodLeftKnee": "Good left knee lift!",
+      "lf.goodRightKnee": "Good right knee lift!",
+      "lf.standStraight": "Stand up straight - align your body",
+
+      // --- exercise definitions (exercises.js)
+      "exercise.shoulderAbduction.title": "Shoulder Abduction",
+      "exercise.shoulderAbduction.hint": "Pop both stars (any order) → that’s 1 rep. After {reps} reps, you’ll get a {rest}s break and each star moves up or eases off to match how that side did.",
+      "exercise.shoulderAbduction.instruction": "Pop both stars; lower hands to reset",
+      "exercise.shoulderAbduction.hintOneSide": "Pop the star with your {side} arm → that’s 1 rep. After {reps} reps, you’ll get a {rest}s break and the star moves up or eases off to match how you did.",
+      "exercise.shoulderAbduction.instructionOneSide": "Pop the star; lower your hand to reset",
+      "exercise.shoulderAbduction.reset.left": "Lower LEFT hand to reset.",
+      "exercise.shoulderAbduction.reset.right": "Lower RIGHT hand to reset.",
+      "exercise.overheadPress.title": "Overhead Press",
+      "exercise.overheadPress.hint": "Press both hands up to the stars above your head, then bring them back to shoulder height.",
+      "exercise.overheadPress.instruction": "Press both stars overhead; lower to shoulders to reset",
+      "exercise.overheadPress.hintOneSide": "Press your {side} arm up to the star above your head, then bring your hand back to shoulder height.",
+      "exercise.overheadPress.instructionOneSide": "Press the star overhead; lower to your shoulder to reset",
+      "exercise.overheadPress.reset.left": "Lower LEFT hand to your shoulder to reset.",
+      "exercise.overheadPress.reset.right": "Lower RIGHT hand to your shoulder to reset.",
+      "exercise.forwardReach.title": "Forward Reach",
+      "exercise.forwardReach.hint": "Reach out to the stars level with your shoulders, then bring your hands back in.",
+      "exercise.forwardReach.instruction": "Reach out to both stars; bring hands in to reset",
+      "exercise.forwardReach.hintOneSide": "Reach your {side} arm out to the star level with your shoulder, then bring your hand back in.",
+      "exercise.forwardReach.instructionOneSide": "Reach out to the star; bring your hand in to reset",
+      "exercise.forwardReach.reset.left": "Bring LEFT hand back in to reset.",
+      "exercise.forwardReach.reset.right": "Bring RIGHT hand back in to reset.",
+      "exercise.miniSquats.title": "Mini Squats",
+      "exercise.miniSquats.hint": "Bend your knees into a mini squat, then stand back up tall. Each squat → 1 rep.",
+      "exercise.miniSquats.instruction": "Mini squat down; stand tall to reset",
+      "exercise.miniSquats.reset.left": "Stand back up tall to reset.",
+      "exercise.miniSquats.reset.right": "Stand back up tall to reset.",
+      "exercise.marchingInPlace.title": "Marching in Place",
+      "exercise.marchingInPlace.hint": "Lift one knee up to hip height and put the foot down, then the other. Both knees → 1 rep.",
+      "exercise.marchingInPlace.instruction": "Lift each knee in turn; foot down to reset",
+      "exercise.marchingInPlace.reset.left": "Put your LEFT foot down to reset.",
+      "exercise.marchingInPlace.reset.right": "Put your RIGHT foot down to reset.",
+
+      // --- exercise page
+      "ex.history": "History",
+      "ex.exerciseMenu": "Exercise",
+      "ex.repsThisLevel": "Reps (this level)",
+      "ex.level": "Level",
+      "ex.angle": "Angle L / R (target)",
+      "ex.status": "Status",
+      "ex.pressStart": "Press Start to begin",
+      "ex.levelTag": "• Level {level}",
+      "ex.planHint": "{reps} reps per level • {levels} levels • {rest}s break between levels",
+      "ex.planHold": " • hold {seconds}s",
+      "ex.planStep": "{title} • step {step} of {total} • ",
+      "ex.prescribedPlan": "Prescribed plan",
+      "ex.loadPlan": "Load plan",
+      "ex.loadPlanTitle": "Load a therapist prescription (JSON)",
+      "ex.clearPlan": "Clear plan",
+      "ex.instruction": { one: "{instruction}; {count} rep.", other: "{instruction}; {count} reps." },
+      "ex.levelInstruction": "Level {level}: {instruction}",
+      "ex.levelSpoken": "Level {level}. {instruction}",
+      "ex.calibIgnored": "Calibration ignored ({reason}). Please recalibrate.",
+      "ex.calibWarning": "{warning} — consider recalibrating.",
+      "ex.noCalib": "No calibration found — using default targets.",
+      "ex.calibLowConfidence": "Calibration confidence is too low ({percent}%). Please recalibrate before exercising.",
+      "ex.recalibrate": "Recalibrate",
+      "ex.recheck": "Re-check reach",
+      "ex.recheckTitle": "Measure your maximum reach again without redoing the calibration",
+      "ex.recheckOffer.age": "Your calibration is {days} days old. Press “Re-check reach” to update your maximum reach (about 10 seconds).",
+      "ex.recheckOffer.left": "Your LEFT arm keeps reaching higher than your calibration. Press “Re-check reach” to update it (about 10 seconds).",
+      "ex.recheckOffer.right": "Your RIGHT arm keeps reaching higher than your calibration. Press “Re-check reach” to update it (about 10 seconds).",
+      "ex.recheckSide.left": "Re-check: raise your LEFT arm as high as is comfortable and hold it still.",
+      "ex.recheckSide.right": "Re-check: raise your RIGHT arm as high as is comfortable and hold it still.",
+      "ex.recheckLine": "max reach",
+      "ex.recheckDone": "Maximum reach updated — your targets now match it. Carry on!",
+      "ex.recheckSkipped": "No steady hold, so your calibration is unchanged.",
+      "ex.recheckFailed": "Re-check not saved ({error}).",
+      "ex.rxUnusable": "Prescription not usable: {errors}",
+      "ex.rxNotLoaded": "Prescription not loaded: {errors}",
+      "ex.noGetUserMedia": "getUserMedia not supported",
+      "ex.noPose": "Pose constructor not found (CDN failed?)",
+      "ex.repDone": "Nice! Rep {rep} of {reps} complete.",
+      "ex.levelReset": { one: "Level {level} reset. Do {count} rep.", other: "Level {level} reset. Do {count} reps." },
+      "ex.nextUp": "Great job! Next up: {title}",
+      "ex.sessionComplete": "Great job! Session complete 🎉",
+      "ex.nextUpSpoken": "Great job! On to the next exercise.",
+      "ex.sessionCompleteSpoken": "Great job! Session complete.",
+      "ex.levelUp": "Level Up!",
+      "ex.levelComplete": "Level {level} complete!",
+      "ex.nextLevelIn": "Next level starts in",
+      "ex.progressNextLevelIn": "{changes} — next level starts in",
+      "ex.levelCompleteSpoken": "Level {level} complete. Rest for {rest} seconds.",
+      "ex.progress.left.up": "Left ↑ higher",
+      "ex.progress.left.down": "Left ↓ easier",
+      "ex.progress.left.same": "Left → same",
+      "ex.progress.right.up": "Right ↑ higher",
+      "ex.progress.right.down": "Right ↓ easier",
+      "ex.progress.right.same": "Right → same",
+      "ex.side.left": "left",
+      "ex.side.right": "right",
+      "ex.only.left": "Left arm only",
+      "ex.only.right": "Right arm only",
+      "ex.affected.left": "Left arm eased",
+      "ex.affected.right": "Right arm eased",
+      "ex.repsPerSide": "L {left} • R {right} / {total}",
+      "ex.sideRepDone.left": "Nice! Left rep {rep} of {reps} complete.",
+      "ex.sideRepDone.right": "Nice! Right rep {rep} of {reps} complete.",
+      "ex.fatigue": "You seem to be tiring — it's fine to end this set early.",
+      "ex.fatigueSpoken": "You seem to be tiring. You can end this set early if you need to.",
+      "ex.endSet": "End set",
+      "ex.tempo": "Last rep up / down",
+      "ex.tempoValue": "{up} s ↑ / {down} s ↓",
+      "ex.skeleton": "Skeleton",
+      "ex.skeletonTitle": "Show the tracked skeleton and targets",
+      "ex.downLine": "Lower below this line to reset",
+      "ex.waitBaseline": "Stand so the camera sees you fully — {title} starts automatically.",
+      "ex.poppedLeft": "Left popped! {cue}",
+      "ex.poppedRight": "Right popped! {cue}",
+      "ex.resetLeft": "Left reset. You can go again or pop the other side.",
+      "ex.resetRight": "Right reset. You can go again or pop the other side.",
+
+      // --- calibration page
+      "calib.title": "Rehabify – Calibration",
+      "calib.heading": "Rehabify – Shoulder Abduction (Calibration)",
+      "calib.startCamera": "Start Camera",
+      "calib.idle": "Idle.",
+      "calib.kpiLeft": "Left Rung",
+      "calib.kpiRight": "Right Rung",
+      "calib.kpiSaved": "Saved",
+      "calib.kpiHold": "Hold",
+      "calib.kpiLanes": "Lane X (L/R)",
+      "calib.kpiStatus": "Status",
+      "calib.kpiAngle": "Abduction L / R",
+      "calib.kpiMaxAngle": "Max angle L / R",
+      "calib.kpiQuality": "Confidence",
+      "calib.kpiQualityTitle": "Framing, distance, camera tilt and steadiness",
+      "calib.step": "Step",
+      "calib.timer": "Timer",
+      "calib.left": "LEFT",
+      "calib.right": "RIGHT",
+      "calib.hipsHint": "Make sure your waist (hips) is visible to the camera.",
+      "calib.hipsOK": "Hips detected — hold steady on a dot.",
+      "calib.hipsMissing": "Waist not detected — step back so hips are visible.",
+      "calib.hipsMissingSpoken": "Step back so your hips are visible.",
+      "calib.noPose": "Pose constructor not found",
+      "calib.calibratingLeft": "Calibrating LEFT arm — hold a dot {seconds}s (hips must be visible).",
+      "calib.calibratingRight": "Calibrating RIGHT arm — hold a dot {seconds}s (hips must be visible).",
+      "calib.leftSaved": "Left arm saved. Now the RIGHT arm — hold a dot {seconds}s.",
+      "calib.rightSaved": "Right arm saved. Now the LEFT arm — hold a dot {seconds}s.",
+      "calib.reset": "Calibration reset.",
+      "calib.done": "Done! Calibration captured.",
+      "calib.saved": "✅ Calibration saved.",
+      "calib.notSaved": "⚠️ Calibration not saved.",
+      "calib.rejected": "{error} — press Reset and try again.",
+      "calib.quality.frame": "Setup: move so you're fully in view, head to knees, arms included.",
+      "calib.quality.tooFar": "Setup: come a little closer to the camera.",
+      "calib.quality.tooClose": "Setup: step back from the camera.",
+      "calib.quality.tilt": "Setup: the camera is tilted — level it, and stand up straight.",
+      "calib.quality.jitter": "Setup: the picture is unsteady — add light and stand still.",
+      "calib.quality.hold": "Setup looks good — stand still with your arms down…",
+      "calib.lowConfidence": "Calibration confidence is too low ({percent}%), so it wasn't saved. Check the setup and press Reset.",
+      "calib.savedLowConfidence": "Saved, but confidence is low ({percent}%) — consider recalibrating."
+    },
+
+    es: {
+      "app.title": "Rehabify – {title}",
+      "common.start": "▶ Empezar",
+      "common.reset": "Reiniciar",
+      "common.record": "⏺ Grabar",
+      "common.stopRecording": "⏹ Detener",
+      "common.recordTitle": "Guardar el flujo de puntos del cuerpo como JSON para reproducirlo",
+      "common.startingCamera": "Iniciando la cámara…",
+      "common.cameraError": "Error de cámara: {error}",
+      "common.useFile": "📁 Usar archivo…",
+      "common.useFileTitle": "Reproducir un vídeo o una grabación de puntos del cuerpo en lugar de la cámara",
+      "common.startingFile": "Cargando archivo…",
+      "common.fileError": "Error de archivo: {error}",
+      "common.startFailed": "No se pudo empezar: {error}",
+      "common.language": "Idioma",
+      "audio.voice": "🔊 Voz",
+      "audio.muted": "🔇 Silencio",
+      "audio.volume": "Volumen de la voz",
+      "offline.badge": "⚡ Sin conexión",
+      "offline.badgeTitle": "Sin conexión: la aplicación sigue funcionando y las sesiones quedan en cola para exportarlas",
+      "report.title": "Informe de la sesión",
+      "report.patientId": "ID del paciente (opcional)",
+      "report.signedBy": "Firmado por (profesional)",
+      "report.role": "Cargo",
+      "report.note": "Nota",
+      "report.print": "🖨 Imprimir",
+      "report.done": "Listo",
+      "report.failed": "No se pudo exportar: {error}",
+      "profile.label": "Perfil",
+      "profile.default": "Predeterminado",
+      "profile.new": "＋ Nuevo",
+      "profile.newPrompt": "Nombre del nuevo perfil (paciente)",
+      "profile.delete": "Eliminar",
+      "profile.deleteConfirm": "¿Eliminar el perfil «{name}» con su calibración, plan e historial de sesiones? No se puede deshacer.",
+      "profile.export": "Exportar",
+      "profile.import": "Importar…",
+      "profile.failed": "Perfil: {error}",
+
+      "lf.showBody": "Mantén el cuerpo a la vista",
+      "lf.showShoulders": "Mantén ambos hombros a la vista",
+      "lf.showHands": "Mantén las manos a la vista",
+      "lf.shouldersLevel": "Mantén los hombros nivelados",
+      "lf.straightenLeftElbow": "Estira el codo izquierdo",
+      "lf.straightenRightElbow": "Estira el codo derecho",
+      "lf.lowerBothArms": "Baja ambos brazos para reiniciar",
+      "lf.lowerLeftArm": "Baja el brazo izquierdo para reiniciar",
+      "lf.lowerRightArm": "Baja el brazo derecho para reiniciar",
+      "lf.greatReset": "¡Buen reinicio! A por la siguiente repetición",
+      "lf.raiseBothArms": "Sube más ambos brazos",
+      "lf.raiseLeftArm": "Sube más el brazo izquierdo",
+      "lf.raiseRightArm": "Sube más el brazo derecho",
+      "lf.niceHeight": "¡Buena altura! Mantén…",
+      "lf.pressBoth": "Empuja ambas manos más arriba, por encima de la cabeza",
+      "lf.pressLeft": "Empuja la mano izquierda más arriba",
+      "lf.pressRight": "Empuja la mano derecha más arriba",
+      "lf.extendLeftArm": "Extiende del todo el brazo izquierdo",
+      "lf.extendRightArm": "Extiende del todo el brazo derecho",
+      "lf.bothHandsUp": "¡Genial! ¡Ambas manos arriba!",
+      "lf.handUp": "¡Genial! ¡Mano arriba!",
+      "lf.reachForward": "Estira los brazos hacia delante",
+      "lf.reachForwardLeft": "Estira el brazo izquierdo hacia delante",
+      "lf.reachForwardRight": "Estira el brazo derecho hacia delante",
+      "lf.shouldersLevelReach": "Mantén los hombros nivelados al estirarte",
+      "lf.goodReach": "¡Buen alcance! Mantén la posición",
+      "lf.comp.shoulderHikeLeft": "Relaja el hombro izquierdo hacia abajo, lejos de la oreja",
+      "lf.comp.shoulderHikeRight": "Relaja el hombro derecho hacia abajo, lejos de la oreja",
+      "lf.comp.trunkLeanLeft": "Te inclinas hacia la izquierda: mantén el tronco recto",
+      "lf.comp.trunkLeanRight": "Te inclinas hacia la derecha: mantén el tronco recto",
+      "lf.comp.leanBack": "No te eches hacia atrás: baja las costillas y aprieta el abdomen",
+      "lf.comp.slowing": "Tus repeticiones van más lentas: tómate tu tiempo y respira",
+      "lf.quality.slowerUp": "Más despacio al subir: muévete con control",
+      "lf.quality.slowerDown": "Más despacio al bajar",
+      "lf.quality.goodTempo": "¡Buen ritmo, con control!",
+      "lf.showLegs": "Muestra todo el cuerpo: caderas, rodillas y tobillos",
+      "lf.bendKnees": "Dobla más las rodillas: baja en una mini sentadilla",
+      "lf.notTooDeep": "No bajes demasiado: que sea una mini sentadilla",
+      "lf.kneesOverAnkles": "Mantén las rodillas alineadas sobre los tobillos",
+      "lf.perfectSquat": "¡Profundidad de sentadilla perfecta!",
+      "lf.showBodyMarch": "Muestra todo el cuerpo para marchar",
+      "lf.liftKnees": "Sube más las rodillas: marcha en el sitio",
+      "lf.liftLeftKnee": "Sube más la rodilla izquierda",
+      "lf.liftRightKnee": "Sube más la rodilla derecha",
+      "lf.goodLeftKnee": "¡Buena elevación de la rodilla izquierda!",
+      "lf.goodRightKnee": "¡Buena elevación de la rodilla derecha!",
+      "lf.standStraight": "Endereza la espalda: alinea el cuerpo",
+
+      "exercise.shoulderAbduction.title": "Abducción de hombro",
+      "exercise.shoulderAbduction.hint": "Revienta ambas estrellas (en cualquier orden) → eso es 1 repetición. Tras {reps} repeticiones tendrás un descanso de {rest} s y cada estrella sube o se suaviza según cómo lo hizo ese lado.",
+      "exercise.shoulderAbduction.instruction": "Revienta ambas estrellas; baja las manos para reiniciar",
+      "exercise.shoulderAbduction.hintOneSide": "Revienta la estrella con el brazo {side} → eso es 1 repetición. Tras {reps} repeticiones tendrás un descanso de {rest} s y la estrella sube o se suaviza según cómo lo hiciste.",
+      "exercise.shoulderAbduction.instructionOneSide": "Revienta la estrella; baja la mano para reiniciar",
+      "exercise.shoulderAbduction.reset.left": "Baja la mano IZQUIERDA para reiniciar.",
+      "exercise.shoulderAbduction.reset.right": "Baja la mano DERECHA para reiniciar.",
+      "exercise.overheadPress.title": "Press por encima de la cabeza",
+      "exercise.overheadPress.hint": "Empuja ambas manos hasta las estrellas sobre tu cabeza y luego bájalas a la altura de los hombros.",
+      "exercise.overheadPress.instruction": "Alcanza ambas estrellas por encima de la cabeza; baja a los hombros para reiniciar",
+      "exercise.overheadPress.hintOneSide": "Empuja hacia arriba con el brazo {side} hasta la estrella sobre tu cabeza y luego baja la mano a la altura del hombro.",
+      "exercise.overheadPress.instructionOneSide": "Alcanza la estrella por encima de la cabeza; baja al hombro para reiniciar",
+      "exercise.overheadPress.reset.left": "Baja la mano IZQUIERDA al hombro para reiniciar.",
+      "exercise.overheadPress.reset.right": "Baja la mano DERECHA al hombro para reiniciar.",
+      "exercise.forwardReach.title": "Alcance hacia delante",
+      "exercise.forwardReach.hint": "Estírate hacia las estrellas a la altura de los hombros y luego recoge las manos.",
+      "exercise.forwardReach.instruction": "Alcanza ambas estrellas; recoge las manos para reiniciar",
+      "exercise.forwardReach.hintOneSide": "Estira el brazo {side} hacia la estrella a la altura del hombro y luego recoge la mano.",
+      "exercise.forwardReach.instructionOneSide": "Alcanza la estrella; recoge la mano para reiniciar",
+      "exercise.forwardReach.reset.left": "Recoge la mano IZQUIERDA para reiniciar.",
+      "exercise.forwardReach.reset.right": "Recoge la mano DERECHA para reiniciar.",
+      "exercise.miniSquats.title": "Mini sentadillas",
+      "exercise.miniSquats.hint": "Dobla las rodillas en una mini sentadilla y vuelve a ponerte de pie. Cada sentadilla → 1 repetición.",
+      "exercise.miniSquats.instruction": "Baja en mini sentadilla; ponte de pie para reiniciar",
+      "exercise.miniSquats.reset.left": "Vuelve a ponerte de pie para reiniciar.",
+      "exercise.miniSquats.reset.right": "Vuelve a ponerte de pie para reiniciar.",
+      "exercise.marchingInPlace.title": "Marcha en el sitio",
+      "exercise.marchingInPlace.hint": "Sube una rodilla a la altura de la cadera y baja el pie; luego la otra. Ambas rodillas → 1 repetición.",
+      "exercise.marchingInPlace.instruction": "Sube cada rodilla por turnos; baja el pie para reiniciar",
+      "exercise.marchingInPlace.reset.left": "Baja el pie IZQUIERDO para reiniciar.",
+      "exercise.marchingInPlace.reset.right": "Baja el pie DERECHO para reiniciar.",
+
+      "ex.history": "Historial",
+      "ex.exerciseMenu": "Ejercicio",
+      "ex.repsThisLevel": "Repeticiones (este nivel)",
+      "ex.level": "Nivel",
+      "ex.angle": "Ángulo I / D (objetivo)",
+      "ex.status": "Estado",
+      "ex.pressStart": "Pulsa Empezar para comenzar",
+      "ex.levelTag": "• Nivel {level}",
+      "ex.planHint": "{reps} repeticiones por nivel • {levels} niveles • {rest} s de descanso entre niveles",
+      "ex.planHold": " • mantén {seconds} s",
+      "ex.planStep": "{title} • paso {step} de {total} • ",
+      "ex.prescribedPlan": "Plan prescrito",
+      "ex.loadPlan": "Cargar plan",
+      "ex.loadPlanTitle": "Cargar una prescripción del terapeuta (JSON)",
+      "ex.clearPlan": "Quitar plan",
+      "ex.instruction": { one: "{instruction}; {count} repetición.", other: "{instruction}; {count} repeticiones." },
+      "ex.levelInstruction": "Nivel {level}: {instruction}",
+      "ex.levelSpoken": "Nivel {level}. {instruction}",
+      "ex.calibIgnored": "Calibración descartada ({reason}). Vuelve a calibrar.",
+      "ex.calibWarning": "{warning}: conviene volver a calibrar.",
+      "ex.noCalib": "No hay calibración: se usan objetivos por defecto.",
+      "ex.calibLowConfidence": "La confianza de la calibración es demasiado baja ({percent} %). Vuelve a calibrar antes de hacer ejercicio.",
+      "ex.recalibrate": "Volver a calibrar",
+      "ex.recheck": "Revisar alcance",
+      "ex.recheckTitle": "Vuelve a medir tu alcance máximo sin repetir la calibración",
+      "ex.recheckOffer.age": "Tu calibración tiene {days} días. Pulsa «Revisar alcance» para actualizar tu alcance máximo (unos 10 segundos).",
+      "ex.recheckOffer.left": "Tu brazo IZQUIERDO llega más alto que tu calibración. Pulsa «Revisar alcance» para actualizarla (unos 10 segundos).",
+      "ex.recheckOffer.right": "Tu brazo DERECHO llega más alto que tu calibración. Pulsa «Revisar alcance» para actualizarla (unos 10 segundos).",
+      "ex.recheckSide.left": "Revisión: sube el brazo IZQUIERDO tan alto como te resulte cómodo y mantenlo quieto.",
+      "ex.recheckSide.right": "Revisión: sube el brazo DERECHO tan alto como te resulte cómodo y mantenlo quieto.",
+      "ex.recheckLine": "alcance máx.",
+      "ex.recheckDone": "Alcance máximo actualizado: tus objetivos ya se ajustan a él. ¡Sigue así!",
+      "ex.recheckSkipped": "No se ha mantenido quieto el brazo, así que la calibración no cambia.",
+      "ex.recheckFailed": "La revisión no se ha guardado ({error}).",
+      "ex.rxUnusable": "La prescripción no se puede usar: {errors}",
+      "ex.rxNotLoaded": "No se cargó la prescripción: {errors}",
+      "ex.noGetUserMedia": "Este navegador no permite usar la cámara (getUserMedia)",
+      "ex.noPose": "No se encontró el detector de postura (¿falló la CDN?)",
+      "ex.repDone": "¡Bien! Repetición {rep} de {reps} completada.",
+      "ex.levelReset": { one: "Nivel {level} reiniciado. Haz {count} repetición.", other: "Nivel {level} reiniciado. Haz {count} repeticiones." },
+      "ex.nextUp": "¡Buen trabajo! Lo siguiente: {title}",
+      "ex.sessionComplete": "¡Buen trabajo! Sesión completada 🎉",
+      "ex.nextUpSpoken": "¡Buen trabajo! Vamos con el siguiente ejercicio.",
+      "ex.sessionCompleteSpoken": "¡Buen trabajo! Sesión completada.",
+      "ex.levelUp": "¡Subes de nivel!",
+      "ex.levelComplete": "¡Nivel {level} completado!",
+      "ex.nextLevelIn": "El siguiente nivel empieza en",
+      "ex.progressNextLevelIn": "{changes}: el siguiente nivel empieza en",
+      "ex.levelCompleteSpoken": "Nivel {level} completado. Descansa {rest} segundos.",
+      "ex.progress.left.up": "Izquierda ↑ más alto",
+      "ex.progress.left.down": "Izquierda ↓ más fácil",
+      "ex.progress.left.same": "Izquierda → igual",
+      "ex.progress.right.up": "Derecha ↑ más alto",
+      "ex.progress.right.down": "Derecha ↓ más fácil",
+      "ex.progress.right.same": "Derecha → igual",
+      "ex.side.left": "izquierdo",
+      "ex.side.right": "derecho",
+      "ex.only.left": "Solo brazo izquierdo",
+      "ex.only.right": "Solo brazo derecho",
+      "ex.affected.left": "Brazo izquierdo más fácil",
+      "ex.affected.right": "Brazo derecho más fácil",
+      "ex.repsPerSide": "I {left} • D {right} / {total}",
+      "ex.sideRepDone.left": "¡Bien! Repetición izquierda {rep} de {reps} completada.",
+      "ex.sideRepDone.right": "¡Bien! Repetición derecha {rep} de {reps} completada.",
+      "ex.fatigue": "Parece que te estás cansando: puedes terminar esta serie antes.",
+      "ex.fatigueSpoken": "Parece que te estás cansando. Si lo necesitas, puedes terminar esta serie antes.",
+      "ex.endSet": "Terminar serie",
+      "ex.tempo": "Última rep. subida / bajada",
+      "ex.tempoValue": "{up} s ↑ / {down} s ↓",
+      "ex.skeleton": "Esqueleto",
+      "ex.skeletonTitle": "Mostrar el esqueleto detectado y los objetivos",
+      "ex.downLine": "Baja por debajo de esta línea para reiniciar",
+      "ex.waitBaseline": "Colócate de modo que la cámara te vea entero: {title} empieza automáticamente.",
+      "ex.poppedLeft": "¡Izquierda reventada! {cue}",
+      "ex.poppedRight": "¡Derecha reventada! {cue}",
+      "ex.resetLeft": "Izquierda reiniciada. Puedes repetir o reventar la otra.",
+      "ex.resetRight": "Derecha reiniciada. Puedes repetir o reventar la otra.",
+
+      "calib.title": "Rehabify – Calibración",
+      "calib.heading": "Rehabify – Abducción de hombro (Calibración)",
+      "calib.startCamera": "Iniciar cámara",
+      "calib.idle": "En espera.",
+      "calib.kpiLeft": "Peldaño izq.",
+      "calib.kpiRight": "Peldaño der.",
+      "calib.kpiSaved": "Guardado",
+      "calib.kpiHold": "Mantener",
+      "calib.kpiLanes": "Carril X (I/D)",
+      "calib.kpiStatus": "Estado",
+      "calib.kpiAngle": "Abducción I / D",
+      "calib.kpiMaxAngle": "Ángulo máx. I / D",
+      "calib.kpiQuality": "Confianza",
+      "calib.kpiQualityTitle": "Encuadre, distancia, inclinación de la cámara y estabilidad",
+      "calib.step": "Paso",
+      "calib.timer": "Tiempo",
+      "calib.left": "IZQUIERDO",
+      "calib.right": "DERECHO",
+      "calib.hipsHint": "Asegúrate de que la cámara ve tu cintura (caderas).",
+      "calib.hipsOK": "Caderas detectadas: mantente quieto sobre un punto.",
+      "calib.hipsMissing": "No se ve la cintura: da un paso atrás para que se vean las caderas.",
+      "calib.hipsMissingSpoken": "Da un paso atrás para que se vean tus caderas.",
+      "calib.noPose": "No se encontró el detector de postura",
+      "calib.calibratingLeft": "Calibrando el brazo IZQUIERDO: mantén un punto {seconds} s (las caderas deben verse).",
+      "calib.calibratingRight": "Calibrando el brazo DERECHO: mantén un punto {seconds} s (las caderas deben verse).",
+      "calib.leftSaved": "Brazo izquierdo guardado. Ahora el brazo DERECHO: mantén un punto {seconds} s.",
+      "calib.rightSaved": "Brazo derecho guardado. Ahora el brazo IZQUIERDO: mantén un punto {seconds} s.",
+      "calib.reset": "Calibración reiniciada.",
+      "calib.done": "¡Listo! Calibración registrada.",
+      "calib.saved": "✅ Calibración guardada.",
+      "calib.notSaved": "⚠️ Calibración no guardada.",
+      "calib.rejected": "{error}: pulsa Reiniciar e inténtalo de nuevo.",
+      "calib.quality.frame": "Preparación: colócate para que se te vea entero, de la cabeza a las rodillas, brazos incluidos.",
+      "calib.quality.tooFar": "Preparación: acércate un poco a la cámara.",
+      "calib.quality.tooClose": "Preparación: aléjate de la cámara.",
+      "calib.quality.tilt": "Preparación: la cámara está inclinada; nivélala y ponte recto.",
+      "calib.quality.jitter": "Preparación: la imagen es inestable; añade luz y quédate quieto.",
+      "calib.quality.hold": "Todo listo: quédate quieto con los brazos abajo…",
+      "calib.lowConfidence": "La confianza de la calibración es demasiado baja ({percent} %), así que no se ha guardado. Revisa la preparación y pulsa Reiniciar.",
+      "calib.savedLowConfidence": "Guardada, pero la confianza es baja ({percent} %): conviene volver a calibrar."
+    }
+  };
+
+  function detect() {
+    const pick = (tag) => { const l = String(tag || "").toLowerCase().split("-")[0]; return CATALOGS[l] ? l : null; };
+    try {
+      const fromUrl = pick(new URLSearchParams(window.location.search).get("lang"));
+      if (fromUrl) return fromUrl;
+    } catch { }
+    try {
+      const saved = pick(window.localStorage.getItem(STORAGE_KEY));
+      if (saved) return saved;
+    } catch { }
+    const nav = window.navigator || {};
+    for (const tag of nav.languages || [nav.language]) { const l = pick(tag); if (l) return l; }
+    return "en";
+  }
+
+  const I18n = {
+    DEFAULT: "en",
+    lang: detect(),
+
+    available() { return Object.keys(CATALOGS).map((code) => ({ code, name: NAMES[code] || code })); },
+
+    has(key) { return key in CATALOGS[this.lang] || key in CATALOGS.en; },
+
+    // Message for `key` in the current language with {params} filled in.
+    t(key, params = {}) {
+      let msg = CATALOGS[this.lang]?.[key] ?? CATALOGS.en[key] ?? key;
+      if (msg && typeof msg === "object") {
+        const n = Number(params.count);
+        const form = Number.isFinite(n) ? new Intl.PluralRules(this.lang).select(n) : "other";
+        msg = msg[form] ?? msg.other;
+      }
+      return String(msg).replace(/\{(\w+)\}/g, (m, name) => (params[name] != null ? String(params[name]) : m));
+    },
+
+    // Manual override; saved for the next visit.
+    setLang(lang) {
+      if (!CATALOGS[lang]) return false;
+      this.lang = lang;
+      try { window.localStorage.setItem(STORAGE_KEY, lang); } catch { }
+      if (window.document) document.documentElement.lang = lang;
+      return true;
+    },
+
+    // Translate static markup: data-i18n (text), data-i18n-title (title), data-i18n-aria-label.
+    apply(root = document) {
+      root.querySelectorAll("[data-i18n]").forEach((el) => { el.textContent = this.t(el.dataset.i18n); });
+      root.querySelectorAll("[data-i18n-title]").forEach((el) => { el.title = this.t(el.dataset.i18nTitle); });
+      root.querySelectorAll("[data-i18n-aria-label]").forEach((el) => { el.setAttribute("aria-label", this.t(el.dataset.i18nAriaLabel)); });
+    },
+
+    // Language <select> appended to `container`; switching reloads the page in the new language.
+    mountPicker(container, { className = "" } = {}) {
+      if (!container) return;
+      const sel = document.createElement("select");
+      sel.className = className; sel.setAttribute("aria-label", this.t("common.language"));
+      for (const { code, name } of this.available()) {
+        const o = document.createElement("option"); o.value = code; o.textContent = name; sel.appendChild(o);
+      }
+      sel.value = this.lang;
+      sel.addEventListener("change", () => {
+        this.setLang(sel.value);
+        const q = new URLSearchParams(location.search); q.delete("lang");
+        location.search = q.toString();
+      });
+      container.appendChild(sel);
+    }
+  };
+
+  if (window.document?.documentElement) document.documentElement.lang = I18n.lang;
+  window.I18n = I18n;
+})();
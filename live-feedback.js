@@ -1,13 +1,18 @@
 // live-feedback.js
 // Real-time exercise feedback system using MediaPipe angles and body part detection
 // Now ROM-aware (calibration), level-aware, with down→up coaching for shoulder abduction.
+// What to say when comes from declarative per-exercise rules (feedback-rules.js).
+// Also counts reps for the non-star exercises (squats, marching, overhead press, forward reach).
+// With a compensation monitor (compensation.js, setCompensation) patterns that persist over time —
+// shrugging, leaning — take precedence over the single-frame checks.
 
 class LiveFeedback {
   constructor() {
     this.feedbackElement = null;
     this.currentFeedback = '';
     this.lastFeedbackTime = 0;
-    this.feedbackCooldown = 1500; // ms
+    this.feedbackCooldown = 1500; // ms a message stays up; showFeedback's throttle and AudioCoach.dedupeMs scale from it
+    this.clock = () => Date.now(); // swap for replay (tools/replay.js)
     this.angleTolerance = 15; // deg
 
     // ROM / Level state
@@ -17,6 +22,8 @@ class LiveFeedback {
 
     // Derived thresholds (normalized y; smaller y == higher on screen)
     this.targetY = 0.6;         // where we want hands to reach
+    this.sideTargetY = { left: null, right: null }; // per-side targets from the exercise page (setTargets); null → targetY
+    this.sides = { left: true, right: true }; // arms taking part (setSides); one-sided work coaches only that arm
     this.neutralY = 0.78;       // where "down" lives
     this.downBuffer = 0.02;     // must go a bit below (numerically greater than) neutralY to reset
     this.requireDownFrames = 8; // how long to stay down between reps
@@ -24,8 +31,30 @@ class LiveFeedback {
 
     // Phase hinting (optional—will be driven by exercise via setPhase)
     this.phase = "up";          // "up" | "waitDown"
-    this._downCounter = 0;
-    this._upCounter = 0;
+
+    // Coaching rules (feedback-rules.js; setRules to load others)
+    this.rules = window.FeedbackRules ? window.FeedbackRules.engine() : null;
+
+    // Rep tracking (see trackReps). Angles in degrees, distances in normalized units.
+    this.repConfig = {
+      // knee angle under this → in the squat (the 140–170° band). Well clear of standing: soft, swaying
+      // knees dip to the mid 160s without anyone squatting
+      squatActiveBelow: 160,
+      squatRestAbove: 170,     // knee angle over this → standing again
+      marchLift: 0.0,          // knee.y must be this far above hip.y to count as lifted
+      marchDrop: 0.1,          // knee.y this far below hip.y → foot back down
+      pressAboveNose: 0.1,     // wrists above nose by this → pressed
+      reachOut: 0.1,           // wrist out past its shoulder (x, away from the body) by this → reaching
+      reachIn: 0.05            // wrist within this of shoulder (x) → back in
+    };
+    this.repCount = 0;
+    this.repDurations = [];    // ms per completed rep
+    this._rep = this._newRepState(null);
+    this.compensation = null;  // Compensation monitor (setCompensation), or null
+    this.tempo = null;         // { upMs, downMs } minimum ascent/descent times (setTempo), or null: no tempo coaching
+    this.lastQuality = { left: null, right: null }; // last rep's movement quality per side (reportQuality)
+    this.highlight = null;     // { points, severity } of this frame's cue (skeleton overlay), or null
+    this._listeners = {};
   }
 
   /* ---------- Wiring ---------- */
@@ -37,32 +66,193 @@ class LiveFeedback {
   }
 
   setLevel(level, levels, calib) {
-    // Persist session context
+    // Persist session context. Target heights come from the exercise's adaptive progression
+    // (progression.js) through setTargets(), per side.
     this.level = Math.max(1, Number(level) || 1);
     this.levels = Math.max(this.level, Number(levels) || this.level);
     this.calib = calib || this.calib;
+    this.neutralY = this._safeNum(this.calib?.rom?.neutralY, this.neutralY);
+  }
+
+  // Per-side target heights (normalized y, as drawn this frame); either may be null to use targetY.
+  setTargets({ left = null, right = null, neutralY } = {}) {
+    this.sideTargetY.left = Number.isFinite(left) ? left : null;
+    this.sideTargetY.right = Number.isFinite(right) ? right : null;
+    if (Number.isFinite(neutralY)) this.neutralY = neutralY;
+  }
 
-    // Read ROM from calibration if available
-    const neutral = this._safeNum(this.calib?.rom?.neutralY, 0.78);
-    const maxYL  = this._safeNum(this.calib?.rom?.maxReachLeftY, 0.18);
-    const maxYR  = this._safeNum(this.calib?.rom?.maxReachRightY, 0.18);
-    const maxY   = Math.min(maxYL, maxYR);
+  // Arms taking part: ["left"], ["right"] or both (default). Arm exercises then only check, count and
+  // coach those arms, so "both arms" messages become that arm's.
+  setSides(sides = ["left", "right"]) {
+    this.sides = { left: sides.includes("left"), right: sides.includes("right") };
+  }
+
+  _on(side) { return this.sides[side]; }
 
-    this.neutralY = neutral;
+  // Compensation monitor fed every frame by provideFeedback; null to switch it off
+  setCompensation(monitor) {
+    this.compensation = monitor || null;
+  }
+
+  // Tempo coaching: reps faster than upMs on the way up / downMs on the way down get a "slower" cue
+  setTempo(tempo) {
+    this.tempo = tempo && (Number.isFinite(tempo.upMs) || Number.isFinite(tempo.downMs)) ? tempo : null;
+  }
 
-    // Gentle ROM ramp: neutral -> maxY using 0.15..0.65 of the span
-    const t = (this.level - 1) / Math.max(1, this.levels - 1); // 0..1
-    const frac = 0.15 + 0.50 * t; // slower increments
-    this.targetY = this._lerp(neutral, maxY, frac);
+  // One rep's movement quality for a side (movement-quality.js): kept, emitted as "quality", and
+  // coached when tempo coaching is on. The descent cue wins — lowering under control is the usual ask.
+  reportQuality(side, quality, exercise = this._rep.exercise) {
+    if (!quality) return;
+    this.lastQuality[side] = quality;
+    this._emit('quality', { exercise, side, ...quality });
+    const tempo = this.tempo;
+    if (!tempo) return;
+    this.lastFeedbackTime = 0; // one cue per rep: don't let this frame's coaching swallow it
+    if (quality.descentMs < tempo.downMs) this.cue("lf.quality.slowerDown", "correction");
+    else if (quality.ascentMs < tempo.upMs) this.cue("lf.quality.slowerUp", "correction");
+    else this.cue("lf.quality.goodTempo", "success");
   }
 
   setPhase(phase) {
     // Optional hook so exercise can tell us "up" or "waitDown"
     if (phase === "up" || phase === "waitDown") {
       this.phase = phase;
-      // reset counters when phase changes
-      this._downCounter = 0;
-      this._upCounter = 0;
+      // hold counters start over in the new phase
+      this.rules?.reset();
+    }
+  }
+
+  /* ---------- Events ---------- */
+  // Events: "rep" {exercise, count, durationMs, side?}, "phase" {exercise, phase},
+  //         "feedback" {message, type, t, key} (key: i18n.js catalog key, null for raw text),
+  //         "compensation" {type: "start" | "end" | "fatigue", pattern?, side?, reason?},
+  //         "quality" {exercise, side, ascentMs, descentMs, holdMs, peakSpeed, smoothness, holdSway, excursion}
+  on(event, fn) {
+    (this._listeners[event] = this._listeners[event] || []).push(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    this._listeners[event] = (this._listeners[event] || []).filter(f => f !== fn);
+  }
+
+  _emit(event, detail) {
+    for (const fn of this._listeners[event] || []) {
+      try { fn(detail); } catch (e) { console.warn('LiveFeedback listener failed:', e); }
+    }
+  }
+
+  /* ---------- Rep tracking ---------- */
+  _newRepState(exercise) {
+    return {
+      exercise, phase: "rest", frames: 0, startedAt: 0,
+      march: { left: { up: false, frames: 0, startedAt: 0 }, right: { up: false, frames: 0, startedAt: 0 }, last: null, pairStartedAt: 0 }
+    };
+  }
+
+  resetReps(exercise = null) {
+    this.repCount = 0;
+    this.repDurations = [];
+    this.lastQuality = { left: null, right: null };
+    this._rep = this._newRepState(exercise);
+  }
+
+  getRepStats() {
+    const d = this.repDurations;
+    return {
+      exercise: this._rep.exercise,
+      phase: this._rep.phase,
+      count: this.repCount,
+      durations: d.slice(),
+      lastDurationMs: d.length ? d[d.length - 1] : null,
+      avgDurationMs: d.length ? d.reduce((a, b) => a + b, 0) / d.length : null
+    };
+  }
+
+  // "rest" | "active" | "mid" for one frame, or null when the pose is unclear (state is held).
+  _repPosition(exercise, lm) {
+    const c = this.repConfig;
+    switch (exercise) {
+      case 'miniSquats': {
+        const [lh, rh, lk, rk, la, ra] = [23, 24, 25, 26, 27, 28].map(i => lm[i]);
+        if (![lh, rh, lk, rk, la, ra].every(p => this.isVisible(p))) return null;
+        const angle = Math.min(this.calculateAngle(lh, lk, la), this.calculateAngle(rh, rk, ra));
+        if (angle < c.squatActiveBelow) return "active";
+        return angle > c.squatRestAbove ? "rest" : "mid";
+      }
+      case 'overheadPress': {
+        const [nose, ls, rs, lw, rw] = [0, 11, 12, 15, 16].map(i => lm[i]);
+        if (![nose, ls, rs, lw, rw].every(p => this.isVisible(p))) return null;
+        const up = (side, w) => !this._on(side) || w.y < nose.y - c.pressAboveNose;
+        const down = (side, w, sh) => !this._on(side) || w.y >= sh.y;
+        if (up('left', lw) && up('right', rw)) return "active";
+        return (down('left', lw, ls) && down('right', rw, rs)) ? "rest" : "mid";
+      }
+      case 'forwardReach': {
+        const [ls, rs, lw, rw] = [11, 12, 15, 16].map(i => lm[i]);
+        if (![ls, rs, lw, rw].every(p => this.isVisible(p))) return null;
+        // out to the side, away from the body (the patient's left is at the larger raw x)
+        const out = (side) => !this._on(side) || (side === 'left' ? lw.x > ls.x + c.reachOut : rw.x < rs.x - c.reachOut);
+        const back = (side, w, sh) => !this._on(side) || Math.abs(w.x - sh.x) <= c.reachIn;
+        if (out('left') && out('right')) return "active";
+        return (back('left', lw, ls) && back('right', rw, rs)) ? "rest" : "mid";
+      }
+      default:
+        return null;
+    }
+  }
+
+  _setRepPhase(phase) {
+    this._rep.phase = phase;
+    this._rep.frames = 0;
+    this._emit('phase', { exercise: this._rep.exercise, phase });
+  }
+
+  _completeRep(startedAt, now, side) {
+    const durationMs = Math.max(0, now - startedAt);
+    this.repCount++;
+    this.repDurations.push(durationMs);
+    this._emit('rep', { exercise: this._rep.exercise, count: this.repCount, durationMs, side });
+  }
+
+  // rest → active (held requireUpFrames) → rest (held requireDownFrames) == 1 rep.
+  // Marching instead needs a left and a right knee lift, one after the other.
+  trackReps(exercise, landmarks, now = this.clock()) {
+    if (!landmarks || !exercise) return;
+    if (exercise !== this._rep.exercise) this.resetReps(exercise);
+    if (exercise === 'marchingInPlace') { this._trackMarching(landmarks, now); return; }
+
+    const pos = this._repPosition(exercise, landmarks);
+    if (!pos) return;
+    const r = this._rep;
+
+    if (r.phase === "rest") {
+      if (pos === "active") { if (!r.frames) r.startedAt = now; r.frames++; }
+      else r.frames = 0;
+      if (r.frames >= this.requireUpFrames) this._setRepPhase("active");
+    } else {
+      r.frames = pos === "rest" ? r.frames + 1 : 0;
+      if (r.frames >= this.requireDownFrames) { this._completeRep(r.startedAt, now); this._setRepPhase("rest"); }
+    }
+  }
+
+  _trackMarching(lm, now) {
+    const c = this.repConfig, m = this._rep.march;
+    for (const [side, hip, knee] of [["left", lm[23], lm[25]], ["right", lm[24], lm[26]]]) {
+      if (!this.isVisible(hip) || !this.isVisible(knee)) continue;
+      const s = m[side];
+      if (!s.up) {
+        if (knee.y < hip.y - c.marchLift) { if (!s.frames) s.startedAt = now; s.frames++; }
+        else s.frames = 0;
+        if (s.frames >= this.requireUpFrames) { s.up = true; s.frames = 0; }
+        continue;
+      }
+      s.frames = knee.y > hip.y + c.marchDrop ? s.frames + 1 : 0;
+      if (s.frames < this.requireDownFrames) continue;
+      s.up = false; s.frames = 0;
+      // one lift done; the rep completes when the other knee follows
+      if (m.last && m.last !== side) { this._completeRep(m.pairStartedAt, now, side); m.last = null; }
+      else { m.last = side; m.pairStartedAt = s.startedAt; }
     }
   }
 
@@ -79,6 +269,16 @@ class LiveFeedback {
     return angle;
   }
 
+  // Shoulder abduction angle (hip–shoulder–wrist) in degrees for "left" or "right".
+  // `aspect` = video width / height, so x and y are in the same units before measuring.
+  shoulderAbductionAngle(landmarks, side, aspect = 1, minVis = 0.5) {
+    const [hi, si, wi] = side === "left" ? [23, 11, 15] : [24, 12, 16];
+    const pts = [landmarks?.[hi], landmarks?.[si], landmarks?.[wi]];
+    if (!pts.every(p => this.isVisible(p, minVis))) return null;
+    const [h, s, w] = pts.map(p => ({ x: p.x * aspect, y: p.y }));
+    return this.calculateAngle(h, s, w);
+  }
+
   // Calculate distance between two points
   calculateDistance(a, b) {
     if (!a || !b) return null;
@@ -90,14 +290,27 @@ class LiveFeedback {
     return landmark && (landmark.visibility ?? 0) > threshold;
   }
 
+  // Catalog message (i18n.js); without the catalog loaded the key itself is shown
+  t(key, params) {
+    return window.I18n ? window.I18n.t(key, params) : key;
+  }
+
+  // Coaching cue by catalog key: the key travels with the "feedback" event so speech/logs can use it
+  cue(key, type = 'correction', params) {
+    this.showFeedback(this.t(key, params), type, key);
+  }
+
   // UI feedback
-  showFeedback(message, type = 'correction') {
-    if (!this.feedbackElement || !message) return;
-    const now = Date.now();
-    if (now - this.lastFeedbackTime < 500) return; // anti-spam
+  showFeedback(message, type = 'correction', key = null) {
+    if (!message) return;
+    const now = this.clock();
+    // anti-spam: each message gets a third of its display time before the next may replace it
+    if (now - this.lastFeedbackTime < this.feedbackCooldown / 3) return;
 
     this.currentFeedback = message;
     this.lastFeedbackTime = now;
+    this._emit('feedback', { message, type, t: now, key });
+    if (!this.feedbackElement) return;
 
     this.feedbackElement.textContent = message;
     this.feedbackElement.className = `live-feedback-container ${type}`;
@@ -110,326 +323,53 @@ class LiveFeedback {
     }, this.feedbackCooldown);
   }
 
-  /* ---------- Exercise-specific feedback ---------- */
+  /* ---------- Exercise coaching (feedback-rules.js) ---------- */
 
-  // Shoulder Abduction (ROM + down→up coaching)
-  provideShoulderAbductionFeedback(landmarks) {
-    if (!landmarks) return;
-
-    const Ls = landmarks[11], Rs = landmarks[12];
-    const Le = landmarks[13], Re = landmarks[14];
-    const Lw = landmarks[15], Rw = landmarks[16];
-
-    // basic visibility
-    if (!this.isVisible(Ls) || !this.isVisible(Rs)) {
-      this.showFeedback("Keep both shoulders visible", "warning");
-      return;
-    }
-
-    // shoulders level
-    const shoulderDiff = Math.abs(Ls.y - Rs.y);
-    if (shoulderDiff > 0.05) {
-      this.showFeedback("Keep your shoulders level", "correction");
-      return;
-    }
-
-    // elbows fairly straight
-    if (this.isVisible(Le) && this.isVisible(Lw)) {
-      const a = this.calculateAngle(Ls, Le, Lw);
-      if (a && a < 160) { this.showFeedback("Straighten your left elbow", "correction"); return; }
-    }
-    if (this.isVisible(Re) && this.isVisible(Rw)) {
-      const a = this.calculateAngle(Rs, Re, Rw);
-      if (a && a < 160) { this.showFeedback("Straighten your right elbow", "correction"); return; }
-    }
-
-    // Use wrists as hand position proxy
-    if (!this.isVisible(Lw) || !this.isVisible(Rw)) {
-      this.showFeedback("Keep your hands visible", "warning");
-      return;
-    }
-
-    // Height checks (smaller y == higher)
-    const leftUpEnough  = Lw.y <= (this.targetY + 0.02);
-    const rightUpEnough = Rw.y <= (this.targetY + 0.02);
-
-    // Phase-aware coaching (optional: exercise can call setPhase)
-    if (this.phase === "waitDown") {
-      // Encourage lowering arms
-      const downLimitY = this.neutralY + this.downBuffer; // must be numerically >= this to be "down"
-      const leftDown  = Lw.y >= downLimitY;
-      const rightDown = Rw.y >= downLimitY;
-
-      this._downCounter = (leftDown && rightDown) ? this._downCounter + 1 : 0;
-
-      if (!leftDown && !rightDown) {
-        this.showFeedback("Lower both arms to reset", "correction");
-      } else if (!leftDown) {
-        this.showFeedback("Lower your left arm to reset", "correction");
-      } else if (!rightDown) {
-        this.showFeedback("Lower your right arm to reset", "correction");
-      } else if (this._downCounter >= this.requireDownFrames) {
-        this.showFeedback("Great reset! Ready for the next rep", "success");
-      }
-      return;
-    }
-
-    // "Up" phase: encourage reaching target height
-    if (!leftUpEnough && !rightUpEnough) {
-      this.showFeedback("Raise both arms higher", "correction");
-      this._upCounter = 0;
-      return;
-    }
-    if (!leftUpEnough) {
-      this.showFeedback("Raise your left arm higher", "correction");
-      this._upCounter = 0;
-      return;
-    }
-    if (!rightUpEnough) {
-      this.showFeedback("Raise your right arm higher", "correction");
-      this._upCounter = 0;
-      return;
-    }
-
-    // Both are at target — hold briefly for a confident cue
-    this._upCounter++;
-    if (this._upCounter >= this.requireUpFrames) {
-      this.showFeedback("Nice height! Hold…", "success");
-    }
+  // Rules document to coach with: the defaults, with any exercise in `doc` replaced (FeedbackRules.merge)
+  setRules(doc) {
+    if (window.FeedbackRules) this.rules = window.FeedbackRules.engine(window.FeedbackRules.merge(doc));
   }
 
-  // Overhead Press feedback (unchanged)
-  provideOverheadPressFeedback(landmarks) {
-    if (!landmarks) return;
-
-    const leftShoulder = landmarks[11];
-    const rightShoulder = landmarks[12];
-    const leftElbow = landmarks[13];
-    const rightElbow = landmarks[14];
-    const leftWrist = landmarks[15];
-    const rightWrist = landmarks[16];
-
-    if (!this.isVisible(leftShoulder) || !this.isVisible(rightShoulder)) {
-      this.showFeedback("Keep both shoulders visible", "warning");
-      return;
-    }
-
-    const nose = landmarks[0];
-    if (this.isVisible(nose) && this.isVisible(leftWrist) && this.isVisible(rightWrist)) {
-      const leftWristAboveHead = leftWrist.y < nose.y - 0.1;
-      const rightWristAboveHead = rightWrist.y < nose.y - 0.1;
-
-      if (!leftWristAboveHead && !rightWristAboveHead) {
-        this.showFeedback("Press both hands higher - above your head", "correction");
-        return;
-      } else if (!leftWristAboveHead) {
-        this.showFeedback("Press your left hand higher", "correction");
-        return;
-      } else if (!rightWristAboveHead) {
-        this.showFeedback("Press your right hand higher", "correction");
-        return;
-      }
-    }
-
-    if (this.isVisible(leftElbow) && this.isVisible(leftWrist)) {
-      const leftElbowAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-      if (leftElbowAngle && leftElbowAngle < 160) {
-        this.showFeedback("Extend your left arm fully", "correction");
-        return;
-      }
-    }
-
-    if (this.isVisible(rightElbow) && this.isVisible(rightWrist)) {
-      const rightElbowAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-      if (rightElbowAngle && rightElbowAngle < 160) {
-        this.showFeedback("Extend your right arm fully", "correction");
-        return;
-      }
-    }
-
-    if (this.isVisible(nose) && this.isVisible(leftWrist) && this.isVisible(rightWrist)) {
-      const bothHandsUp = leftWrist.y < nose.y - 0.1 && rightWrist.y < nose.y - 0.1;
-      if (bothHandsUp) {
-        this.showFeedback("Great! Both hands are up!", "success");
-      }
-    }
+  _ruleContext() {
+    return {
+      sides: this.sides, phase: this.phase, neutralY: this.neutralY, downBuffer: this.downBuffer,
+      targetY: (side) => this.sideTargetY[side] ?? this.targetY,
+      isVisible: (p) => this.isVisible(p)
+    };
   }
 
-  // Forward Reach feedback (unchanged)
-  provideForwardReachFeedback(landmarks) {
-    if (!landmarks) return;
-
-    const leftShoulder = landmarks[11];
-    const rightShoulder = landmarks[12];
-    const leftWrist = landmarks[15];
-    const rightWrist = landmarks[16];
-
-    if (!this.isVisible(leftShoulder) || !this.isVisible(rightShoulder)) {
-      this.showFeedback("Keep both shoulders visible", "warning");
-      return;
-    }
+  // Dispatcher
+  provideFeedback(exerciseCriteria, landmarks) {
+    if (!landmarks || !exerciseCriteria) return;
 
-    if (this.isVisible(leftWrist) && this.isVisible(rightWrist)) {
-      const leftReaching = leftWrist.x < leftShoulder.x - 0.1;
-      const rightReaching = rightWrist.x > rightShoulder.x + 0.1;
+    this.trackReps(exerciseCriteria, landmarks);
+    this.highlight = null;
+    if (this._compensationFeedback(landmarks)) return;
 
-      if (!leftReaching && !rightReaching) {
-        this.showFeedback("Reach forward with your arms", "correction");
-        return;
+    if (this.rules?.has(exerciseCriteria)) {
+      const rule = this.rules.evaluate(exerciseCriteria, landmarks, this._ruleContext());
+      if (rule) {
+        this.highlight = { points: window.FeedbackRules.points(rule), severity: rule.severity };
+        this.cue(rule.message, rule.severity);
       }
-    }
-
-    const shoulderDifference = Math.abs(leftShoulder.y - rightShoulder.y);
-    if (shoulderDifference > 0.05) {
-      this.showFeedback("Keep shoulders level while reaching", "correction");
       return;
     }
-
-    this.showFeedback("Good reach! Hold the position", "success");
-  }
-
-  // Mini Squats feedback (unchanged)
-  provideMiniSquatsFeedback(landmarks) {
-    if (!landmarks) return;
-
-    const leftHip = landmarks[23];
-    const rightHip = landmarks[24];
-    const leftKnee = landmarks[25];
-    const rightKnee = landmarks[26];
-    const leftAnkle = landmarks[27];
-    const rightAnkle = landmarks[28];
-
-    if (!this.isVisible(leftHip) || !this.isVisible(rightHip) || 
-        !this.isVisible(leftKnee) || !this.isVisible(rightKnee) ||
-        !this.isVisible(leftAnkle) || !this.isVisible(rightAnkle)) {
-      this.showFeedback("Show your full body - hips, knees, and ankles", "warning");
-      return;
-    }
-
-    const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-    const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-    if (!leftKneeAngle || !rightKneeAngle) return;
-
-    const minSquatAngle = 140;
-    const maxSquatAngle = 170;
-
-    if (leftKneeAngle > maxSquatAngle && rightKneeAngle > maxSquatAngle) {
-      this.showFeedback("Bend your knees more - mini squat down", "correction");
-      return;
-    }
-
-    if (leftKneeAngle < minSquatAngle || rightKneeAngle < minSquatAngle) {
-      this.showFeedback("Don't squat too deep - keep it mini", "correction");
-      return;
-    }
-
-    const kneeAlignment = Math.abs(leftKnee.x - leftAnkle.x) + Math.abs(rightKnee.x - rightAnkle.x);
-    if (kneeAlignment > 0.1) {
-      this.showFeedback("Keep knees aligned over your ankles", "correction");
-      return;
-    }
-
-    const leftHipKneeDistance = Math.abs(leftHip.y - leftKnee.y);
-    const rightHipKneeDistance = Math.abs(rightHip.y - rightKnee.y);
-    if (leftHipKneeDistance < 0.1 || rightHipKneeDistance < 0.1) {
-      this.showFeedback("Perfect squat depth!", "success");
-    }
-  }
-
-  // Marching in Place feedback (unchanged)
-  provideMarchingFeedback(landmarks) {
-    if (!landmarks) return;
-
-    const leftHip = landmarks[23];
-    const rightHip = landmarks[24];
-    const leftKnee = landmarks[25];
-    const rightKnee = landmarks[26];
-    const leftAnkle = landmarks[27];
-    const rightAnkle = landmarks[28];
-
-    if (!this.isVisible(leftHip) || !this.isVisible(rightHip) || 
-        !this.isVisible(leftKnee) || !this.isVisible(rightKnee)) {
-      this.showFeedback("Show your full body for marching", "warning");
-      return;
-    }
-
-    const leftKneeLifted = leftKnee.y < leftHip.y - 0.05;
-    const rightKneeLifted = rightKnee.y < rightHip.y - 0.05;
-
-    const leftKneeHeight = leftHip.y - leftKnee.y;
-    const rightKneeHeight = rightHip.y - rightKnee.y;
-
-    if (!leftKneeLifted && !rightKneeLifted) {
-      this.showFeedback("Lift your knees higher - march in place", "correction");
-      return;
-    }
-
-    if (leftKneeLifted && leftKneeHeight < 0.08) {
-      this.showFeedback("Lift your left knee higher", "correction");
-      return;
-    }
-
-    if (rightKneeLifted && rightKneeHeight < 0.08) {
-      this.showFeedback("Lift your right knee higher", "correction");
-      return;
-    }
-
-    if (this.isVisible(leftAnkle)) {
-      const leftHipKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-      if (leftHipKneeAngle && leftHipKneeAngle < 90 && leftKneeLifted) {
-        this.showFeedback("Good left knee lift!", "success");
-      }
-    }
-
-    if (this.isVisible(rightAnkle)) {
-      const rightHipKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-      if (rightHipKneeAngle && rightKneeLifted && rightHipKneeAngle < 90) {
-        this.showFeedback("Good right knee lift!", "success");
-      }
-    }
-
-    const shoulderMidpoint = {
-      x: (landmarks[11].x + landmarks[12].x) / 2,
-      y: (landmarks[11].y + landmarks[12].y) / 2
-    };
-    const hipMidpoint = {
-      x: (leftHip.x + rightHip.x) / 2,
-      y: (leftHip.y + rightHip.y) / 2
-    };
-
-    const posturalAlignment = Math.abs(shoulderMidpoint.x - hipMidpoint.x);
-    if (posturalAlignment > 0.05) {
-      this.showFeedback("Stand up straight - align your body", "correction");
-      return;
+    // no rules for this exercise: just keep the body in view
+    if (!this.isVisible(landmarks[11]) || !this.isVisible(landmarks[12])) {
+      this.cue("lf.showBody", "warning");
     }
   }
 
-  // Dispatcher
-  provideFeedback(exerciseCriteria, landmarks) {
-    if (!landmarks || !exerciseCriteria) return;
-
-    switch (exerciseCriteria) {
-      case 'shoulderAbduction':
-        this.provideShoulderAbductionFeedback(landmarks);
-        break;
-      case 'overheadPress':
-        this.provideOverheadPressFeedback(landmarks);
-        break;
-      case 'forwardReach':
-        this.provideForwardReachFeedback(landmarks);
-        break;
-      case 'miniSquats':
-        this.provideMiniSquatsFeedback(landmarks);
-        break;
-      case 'marchingInPlace':
-        this.provideMarchingFeedback(landmarks);
-        break;
-      default:
-        if (!this.isVisible(landmarks[11]) || !this.isVisible(landmarks[12])) {
-          this.showFeedback("Keep your body visible", "warning");
-        }
-        break;
-    }
+  // Runs the compensation monitor; while a pattern is on its cue replaces the exercise's own checks.
+  _compensationFeedback(landmarks) {
+    const m = this.compensation;
+    if (!m) return false;
+    for (const e of m.update(landmarks, this.clock())) this._emit('compensation', e);
+    const [first] = m.active();
+    if (!first) return false;
+    this.highlight = { points: window.Compensation.points(first.pattern, first.side), severity: "correction" };
+    this.cue(`lf.comp.${window.Compensation.countKey(first.pattern, first.side)}`, "correction");
+    return true;
   }
 
   // Clear all feedback
@@ -439,8 +379,7 @@ class LiveFeedback {
       this.feedbackElement.className = 'live-feedback-container';
     }
     this.currentFeedback = '';
-    this._downCounter = 0;
-    this._upCounter = 0;
+    this.rules?.reset();
   }
 }
 
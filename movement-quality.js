@@ -0,0 +1,110 @@
+// movement-quality.js
+// How a rep was done, not just that it was: per side, the tracked landmark's path between two rep
+// ends is split by how far it is from where it started (excursion) —
+//
+//   ascent   10% → 90% of the rep's excursion on the way out/up
+//   hold     time spent at ≥ 90% (at the target)
+//   descent  last moment at ≥ 90% → back within 10%
+//
+// and scored: peak speed (aspect-corrected frame heights per second), smoothness (log dimensionless
+// jerk of the speed profile, LDLJ: 0 is perfectly smooth, more negative = jerkier; a controlled reach
+// lands around -6…-9, a swing or stutter well below) and hold sway (RMS wobble around the mean hold
+// position, frame heights). Positions are lightly smoothed first; camera noise otherwise dominates jerk.
+//
+//   const mq = MovementQuality.create({ aspect: 16 / 9 });
+//   mq.push("left", landmark, t)   every frame (normalized x/y, t in ms)
+//   mq.endRep("left")              → { ascentMs, descentMs, holdMs, peakSpeed, smoothness, holdSway, excursion } | null
+//
+// null when the side moved less than minExcursion (nothing rep-like happened).
+
+(function () {
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const round = (v, d = 0) => (isNum(v) ? +v.toFixed(d) : null);
+  const median = (xs) => { const s = xs.filter(isNum).sort((a, b) => a - b), m = s.length >> 1; return !s.length ? null : s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2; };
+
+  // Centered moving average over `k` samples each side
+  function smoothPath(pts, k = 2) {
+    return pts.map((p, i) => {
+      const win = pts.slice(Math.max(0, i - k), i + k + 1);
+      return { t: p.t, x: win.reduce((a, q) => a + q.x, 0) / win.length, y: win.reduce((a, q) => a + q.y, 0) / win.length };
+    });
+  }
+
+  // Central difference of `f` over samples (irregular frame times)
+  const derive = (xs, f) => xs.map((_, i) => {
+    const a = xs[Math.max(0, i - 1)], b = xs[Math.min(xs.length - 1, i + 1)];
+    return b.t > a.t ? (f(b) - f(a)) / ((b.t - a.t) / 1000) : 0;
+  });
+
+  const MovementQuality = {
+    create({ aspect = 1, minVis = 0.5, minExcursion = 0.03, restFrac = 0.1, topFrac = 0.9, maxSamples = 900 } = {}) {
+      return {
+        aspect, minVis, minExcursion, restFrac, topFrac, maxSamples,
+        samples: { left: [], right: [] },
+        push(side, p, t) {
+          if (!p || !isNum(p.x) || !isNum(p.y) || (p.visibility ?? 1) < this.minVis) return;
+          const buf = this.samples[side] || (this.samples[side] = []);
+          buf.push({ t, x: p.x * this.aspect, y: p.y });
+          if (buf.length > this.maxSamples) buf.shift();
+        },
+        endRep(side) {
+          const out = MovementQuality.analyze(this.samples[side] || [], this);
+          this.samples[side] = [];
+          return out;
+        },
+        // Drop what's buffered (new set, break) so the next rep starts clean
+        reset(side = null) {
+          for (const s of side ? [side] : Object.keys(this.samples)) this.samples[s] = [];
+        }
+      };
+    },
+
+    // Metrics for one rep's samples ({ t, x, y }, x already aspect-corrected), or null.
+    analyze(raw, { minExcursion = 0.03, restFrac = 0.1, topFrac = 0.9 } = {}) {
+      if (raw.length < 8) return null;
+      const pts = smoothPath(raw);
+      const start = { x: median(pts.slice(0, 3).map((p) => p.x)), y: median(pts.slice(0, 3).map((p) => p.y)) };
+      const dist = pts.map((p) => Math.hypot(p.x - start.x, p.y - start.y));
+      const excursion = Math.max(...dist);
+      if (!(excursion >= minExcursion)) return null;
+
+      const lo = excursion * restFrac, hi = excursion * topFrac;
+      const out0 = dist.findIndex((d) => d >= lo);
+      const top0 = dist.findIndex((d) => d >= hi);
+      let top1 = top0;
+      while (top1 + 1 < dist.length && dist[top1 + 1] >= hi) top1++;
+      let back = dist.findIndex((d, i) => i > top1 && d <= lo);
+      if (back < 0) back = dist.length - 1;
+
+      // speed profile over the movement itself (leaving rest → back at rest)
+      const seg = pts.slice(out0, back + 1);
+      const vy = derive(seg, (p) => p.y);
+      const vel = derive(seg, (p) => p.x).map((vx, i) => ({ t: seg[i].t, v: Math.hypot(vx, vy[i]) }));
+      const speed = vel.map((s) => s.v), peakSpeed = Math.max(...speed);
+      const acc = derive(vel, (s) => s.v).map((a, i) => ({ t: vel[i].t, a }));
+      const jerk = derive(acc, (s) => s.a);
+      const T = (seg[seg.length - 1].t - seg[0].t) / 1000;
+      let jerkInt = 0;
+      for (let i = 1; i < jerk.length; i++) jerkInt += ((jerk[i] ** 2 + jerk[i - 1] ** 2) / 2) * ((seg[i].t - seg[i - 1].t) / 1000);
+      const smoothness = T > 0 && peakSpeed > 0 && jerkInt > 0 ? -Math.log((T ** 3 / peakSpeed ** 2) * jerkInt) : null;
+
+      // sway over the middle of the hold (its edges are still arriving / leaving)
+      const h0 = pts[top0].t, hDur = pts[top1].t - h0;
+      const hold = pts.slice(top0, top1 + 1).filter((p) => p.t >= h0 + hDur * 0.2 && p.t <= h0 + hDur * 0.8);
+      const hx = hold.reduce((a, p) => a + p.x, 0) / hold.length, hy = hold.reduce((a, p) => a + p.y, 0) / hold.length;
+      const holdSway = hold.length > 2 ? Math.sqrt(hold.reduce((a, p) => a + (p.x - hx) ** 2 + (p.y - hy) ** 2, 0) / hold.length) : null;
+
+      return {
+        ascentMs: round(pts[top0].t - pts[out0].t),
+        holdMs: round(pts[top1].t - pts[top0].t),
+        descentMs: round(pts[back].t - pts[top1].t),
+        peakSpeed: round(peakSpeed, 3),
+        smoothness: round(smoothness, 2),
+        holdSway: round(holdSway, 4),
+        excursion: round(excursion, 4)
+      };
+    }
+  };
+
+  window.MovementQuality = MovementQuality;
+})();
@@ -0,0 +1,50 @@
+// offline.js
+// Installable, offline-capable app: registers the service worker (sw.js) and shows whether we're
+// offline. Sessions saved while offline are queued for export (SessionStore.queued()); history.html
+// offers them as a download once there's a moment to send them on.
+//
+//   Offline.register();                     // once per page; no-op where service workers aren't available
+//   Offline.online                          // navigator.onLine
+//   Offline.onChange((online) => …)         // → unsubscribe
+//   Offline.mountStatus(element)            // "Offline" badge, hidden while online
+
+(function () {
+  const label = (key, fallback) => (window.I18n ? window.I18n.t(key) : fallback);
+
+  const Offline = {
+    registration: null,
+
+    get online() { return navigator.onLine !== false; },
+
+    async register(url = "sw.js") {
+      // file:// and plain-http origins (other than localhost) can't have service workers
+      if (!("serviceWorker" in navigator) || !window.isSecureContext) return null;
+      try { this.registration = await navigator.serviceWorker.register(url); }
+      catch (e) { console.warn("Service worker not registered:", e); }
+      return this.registration;
+    },
+
+    onChange(fn) {
+      const on = () => fn(true), off = () => fn(false);
+      window.addEventListener("online", on); window.addEventListener("offline", off);
+      return () => { window.removeEventListener("online", on); window.removeEventListener("offline", off); };
+    },
+
+    mountStatus(container, { className = "offlineBadge" } = {}) {
+      if (!container) return;
+      const badge = document.createElement("span");
+      badge.className = className;
+      badge.setAttribute("role", "status");
+      const render = () => {
+        badge.hidden = this.online;
+        badge.textContent = label("offline.badge", "Offline");
+        badge.title = label("offline.badgeTitle", "No connection: the app keeps working and sessions are queued for export");
+      };
+      this.onChange(render);
+      render();
+      container.append(badge);
+    }
+  };
+
+  window.Offline = Offline;
+})();
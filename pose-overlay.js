@@ -0,0 +1,108 @@
+// pose-overlay.js
+// Draws what the tracker sees on the exercise page's <canvas id="overlay">: the skeleton, the hand
+// (tracker) cursors, each target's pop radius and the "down" line a side must drop below to reset.
+// Joints and limbs named by the current coaching cue are drawn in its severity colour, so "Straighten
+// your left elbow" turns the left arm red — patients can see why a star isn't popping.
+//
+//   const overlay = PoseOverlay.create(canvas, { mirrored: true });
+//   overlay.draw({
+//     landmarks,                                   // raw MediaPipe landmarks (normalized; mirrored here)
+//     highlight: { points: [11, 13, 15], severity: "correction" },   // or null
+//     cursors: [{ x, y }], targets: [{ x, y, r, hit }],             // canvas pixels
+//     lines: [{ y, label }]                                         // canvas pixels
+//   });
+//   overlay.setEnabled(false)  // clears and stops drawing
+
+(function () {
+  // Arms, torso and legs; of the face only the nose is drawn (a joint, for head position)
+  const CONNECTIONS = [
+    [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+    [11, 23], [12, 24], [23, 24],
+    [23, 25], [25, 27], [24, 26], [26, 28]
+  ];
+  const JOINTS = [0, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28];
+  const COLORS = {
+    bone: "rgba(191, 225, 255, 0.75)", joint: "#bfe1ff",
+    warning: "#ffb74d", correction: "#ff5c6c", success: "#7fe3a8",
+    cursor: "#ffd4f1", target: "rgba(255, 212, 241, 0.55)", targetHit: "rgba(127, 227, 168, 0.55)",
+    line: "rgba(255, 183, 77, 0.8)"
+  };
+
+  const PoseOverlay = {
+    CONNECTIONS,
+    COLORS,
+
+    create(canvas, { mirrored = true, minVis = 0.5, enabled = true } = {}) {
+      const ctx = canvas.getContext("2d");
+      return {
+        canvas, ctx, mirrored, minVis, enabled,
+        setEnabled(on) { this.enabled = !!on; if (!this.enabled) this.clear(); },
+        clear() { ctx.clearRect(0, 0, canvas.width, canvas.height); },
+        draw(scene) {
+          this.clear();
+          if (!this.enabled || !scene) return;
+          const w = canvas.width, h = canvas.height;
+          for (const l of scene.lines || []) PoseOverlay._line(ctx, l, w);
+          for (const t of scene.targets || []) PoseOverlay._target(ctx, t);
+          if (scene.landmarks) PoseOverlay._skeleton(ctx, scene.landmarks, w, h, this, scene.highlight);
+          for (const c of scene.cursors || []) PoseOverlay._cursor(ctx, c);
+        }
+      };
+    },
+
+    _skeleton(ctx, lm, w, h, { mirrored, minVis }, highlight) {
+      const px = (p) => ({ x: (mirrored ? 1 - p.x : p.x) * w, y: p.y * h });
+      const ok = (i) => lm[i] && (lm[i].visibility ?? 1) > minVis;
+      const hot = new Set(highlight?.points || []);
+      const hotColor = COLORS[highlight?.severity] || COLORS.correction;
+
+      ctx.save();
+      ctx.lineCap = "round";
+      for (const [a, b] of CONNECTIONS) {
+        if (!ok(a) || !ok(b)) continue;
+        const pa = px(lm[a]), pb = px(lm[b]), on = hot.has(a) && hot.has(b);
+        ctx.strokeStyle = on ? hotColor : COLORS.bone;
+        ctx.lineWidth = on ? 6 : 3;
+        ctx.beginPath(); ctx.moveTo(pa.x, pa.y); ctx.lineTo(pb.x, pb.y); ctx.stroke();
+      }
+      for (const i of JOINTS) {
+        if (!ok(i)) continue;
+        const p = px(lm[i]), on = hot.has(i);
+        ctx.fillStyle = on ? hotColor : COLORS.joint;
+        ctx.beginPath(); ctx.arc(p.x, p.y, on ? 7 : 4, 0, Math.PI * 2); ctx.fill();
+      }
+      ctx.restore();
+    },
+
+    _target(ctx, { x, y, r, hit = false }) {
+      ctx.save();
+      ctx.strokeStyle = hit ? COLORS.targetHit : COLORS.target;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.stroke();
+      ctx.restore();
+    },
+
+    _cursor(ctx, { x, y }) {
+      ctx.save();
+      ctx.strokeStyle = COLORS.cursor; ctx.fillStyle = "rgba(255, 212, 241, 0.25)"; ctx.lineWidth = 3;
+      ctx.beginPath(); ctx.arc(x, y, 14, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      ctx.restore();
+    },
+
+    _line(ctx, { y, label = "" }, w) {
+      ctx.save();
+      ctx.strokeStyle = COLORS.line; ctx.lineWidth = 2;
+      ctx.setLineDash([10, 8]);
+      ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+      if (label) {
+        ctx.setLineDash([]);
+        ctx.fillStyle = COLORS.line; ctx.font = "600 13px system-ui, sans-serif";
+        ctx.fillText(label, 10, y - 6);
+      }
+      ctx.restore();
+    }
+  };
+
+  window.PoseOverlay = PoseOverlay;
+})();
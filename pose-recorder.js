@@ -0,0 +1,63 @@
+// pose-recorder.js
+// Records the poseLandmarks stream (with timestamps) during a calibration or exercise session and
+// saves it as JSON. tools/replay.js plays these files back through CalibAuto / LiveFeedback.
+//
+// File format ("rehabify-landmarks-v1"):
+//   { format, kind: "calibration" | "exercise", createdAt, meta: {...},
+//     frames: [{ t: ms since first frame, lm: [[x, y, z, visibility], ...33], ...extra }],
+//     expect: { ... what the live session produced, checked on replay } }
+
+(function () {
+  const FORMAT = "rehabify-landmarks-v1";
+  const r4 = (v) => (Number.isFinite(v) ? Math.round(v * 1e4) / 1e4 : null);
+
+  function packLandmarks(lm) {
+    return lm ? lm.map((p) => (p ? [r4(p.x), r4(p.y), r4(p.z ?? 0), r4(p.visibility ?? 1)] : null)) : null;
+  }
+
+  function unpackLandmarks(arr) {
+    return arr ? arr.map((p) => (p ? { x: p[0], y: p[1], z: p[2], visibility: p[3] } : null)) : null;
+  }
+
+  window.PoseRecorder = {
+    FORMAT,
+    unpackLandmarks,
+
+    create(kind, meta = {}) {
+      let t0 = null;
+      const rec = {
+        format: FORMAT, kind, createdAt: Date.now(),
+        meta: { userAgent: navigator.userAgent, ...meta },
+        frames: [], expect: {}
+      };
+      return {
+        recording: true,
+        get frameCount() { return rec.frames.length; },
+
+        // `now` in ms (performance.now by default); `extra` is copied onto the frame (e.g. { phase })
+        push(lm, now = performance.now(), extra) {
+          if (!this.recording) return;
+          if (t0 == null) t0 = now;
+          rec.frames.push({ t: Math.round((now - t0) * 10) / 10, lm: packLandmarks(lm), ...extra });
+        },
+
+        stop(expect = {}, meta = {}) {
+          this.recording = false;
+          rec.expect = { ...rec.expect, ...expect };
+          rec.meta = { ...rec.meta, ...meta };
+          return rec;
+        },
+
+        toJSON() { return rec; },
+
+        download(filename = `${kind}-${new Date(rec.createdAt).toISOString().replace(/[:.]/g, "-")}.json`) {
+          const blob = new Blob([JSON.stringify(rec)], { type: "application/json" });
+          const a = document.createElement("a");
+          a.href = URL.createObjectURL(blob); a.download = filename;
+          document.body.appendChild(a); a.click(); a.remove();
+          setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        }
+      };
+    }
+  };
+})();
@@ -0,0 +1,231 @@
+// pose-source.js
+// Where landmarks come from, for calibration.js and exercise.html: one interface over the camera or a
+// local file, and over the pose model that turns frames into landmarks.
+//
+//   const source = PoseSource.create({ video, backend: "auto" });   // or from PoseSource.fromLocation()
+//   source.on("landmarks", ({ landmarks, t }) => …);   // MediaPipe's 33 landmarks (or null), t = performance.now()
+//   source.on("end", () => …);                         // a file finished (it loops unless loop: false)
+//   await source.start();                              // throws an Error with .code (see below)
+//   source.stop();
+//   source.aspect                                      // frame width / height (video, or the recording's meta)
+//
+// Backends:
+//   "pose"   legacy MediaPipe Pose (@mediapipe/pose, loaded by the page's <script> tag)
+//   "tasks"  MediaPipe Tasks PoseLandmarker (@mediapipe/tasks-vision, imported on first use)
+//   "auto"   "pose" when its script is loaded, else "tasks"
+// Inputs: the front camera (default), a video file (`file`/`url`, played through one of the models)
+// or a landmark recording (pose-recorder.js JSON: no camera, no model — for demos and debugging on
+// machines without a webcam).
+//
+// Error codes: "no-getusermedia", "camera" (every constraint set failed), "no-model" (backend not
+// available), "file" (unreadable or unsupported file).
+
+(function () {
+  // MediaPipe assets are requested from our own origin, so sw.js can cache them for offline use. They
+  // are not part of the deployment: vercel.json proxies /mediapipe/* to pinned versions on
+  // cdn.jsdelivr.net and storage.googleapis.com, so a first load still depends on those hosts
+  const asset = (path) => new URL(path, document.baseURI).href;
+  const POSE_BASE = asset("mediapipe/pose");
+  const TASKS_BASE = asset("mediapipe/tasks-vision");
+  const TASKS_MODEL = asset("mediapipe/models/pose_landmarker_lite.task");
+  const BACKENDS = ["auto", "pose", "tasks"];
+  // Front camera at 720p, then any front camera, then any camera
+  const CAMERA_TRIES = [
+    { video: { facingMode: { ideal: "user" }, width: { ideal: 1280 }, height: { ideal: 720 } }, audio: false },
+    { video: { facingMode: "user" }, audio: false },
+    { video: true, audio: false }
+  ];
+  const fail = (code, message) => Object.assign(new Error(message), { code });
+  const isRecording = (name) => /\.json$/i.test(name || "");
+
+  // --- Models: { detect(video, t) → Promise<landmarks | null>, close() }
+
+  function legacyPoseCtor() {
+    return (window.Pose && window.Pose.Pose) ? window.Pose.Pose
+      : (window.Pose) ? window.Pose
+        : (window.pose && window.pose.Pose) ? window.pose.Pose : null;
+  }
+
+  async function createLegacyPose() {
+    const PoseCtor = legacyPoseCtor();
+    if (!PoseCtor) throw fail("no-model", "@mediapipe/pose is not loaded");
+    const pose = new PoseCtor({ locateFile: (f) => `${POSE_BASE}/${f}` });
+    pose.setOptions({ modelComplexity: 1, smoothLandmarks: true, minDetectionConfidence: 0.6, minTrackingConfidence: 0.6 });
+    let latest = null;
+    pose.onResults(({ poseLandmarks }) => { latest = poseLandmarks || null; });
+    return {
+      async detect(video) { await pose.send({ image: video }); return latest; },
+      close() { pose.close?.(); }
+    };
+  }
+
+  async function createTasksPose() {
+    let vision;
+    try { vision = await import(`${TASKS_BASE}/vision_bundle.mjs`); }
+    catch (e) { throw fail("no-model", `Could not load @mediapipe/tasks-vision (${e.message})`); }
+    const files = await vision.FilesetResolver.forVisionTasks(`${TASKS_BASE}/wasm`);
+    const landmarker = await vision.PoseLandmarker.createFromOptions(files, {
+      baseOptions: { modelAssetPath: TASKS_MODEL, delegate: "GPU" },
+      runningMode: "VIDEO", numPoses: 1,
+      minPoseDetectionConfidence: 0.6, minTrackingConfidence: 0.6
+    });
+    let lastT = -1;
+    return {
+      async detect(video, t) {
+        if (t <= lastT) t = lastT + 1; // detectForVideo needs increasing timestamps
+        lastT = t;
+        return landmarker.detectForVideo(video, t).landmarks?.[0] || null;
+      },
+      close() { landmarker.close(); }
+    };
+  }
+
+  // --- Inputs
+
+  async function openCamera(video) {
+    if (!navigator.mediaDevices?.getUserMedia) throw fail("no-getusermedia", "getUserMedia is not available");
+    let stream = null, lastErr = null;
+    for (const c of CAMERA_TRIES) { try { stream = await navigator.mediaDevices.getUserMedia(c); break; } catch (e) { lastErr = e; } }
+    if (!stream) throw fail("camera", lastErr?.message || String(lastErr));
+    video.srcObject = stream;
+    return () => stream.getTracks().forEach((tr) => tr.stop());
+  }
+
+  async function openVideoFile(video, src, loop) {
+    video.srcObject = null;
+    video.src = src; video.loop = loop;
+    await new Promise((res, rej) => {
+      if (video.readyState >= 1) return res();
+      video.addEventListener("loadedmetadata", res, { once: true });
+      video.addEventListener("error", () => rej(fail("file", "Video could not be played")), { once: true });
+    });
+    return () => { video.pause(); video.removeAttribute("src"); video.load(); };
+  }
+
+  async function readRecording({ file, url }) {
+    let text;
+    try { text = file ? await file.text() : await (await fetch(url, { cache: "no-store" })).text(); }
+    catch (e) { throw fail("file", `Recording could not be read (${e.message})`); }
+    let rec;
+    try { rec = JSON.parse(text); } catch (e) { throw fail("file", `Recording is not valid JSON (${e.message})`); }
+    if (rec?.format !== window.PoseRecorder?.FORMAT || !Array.isArray(rec.frames)) throw fail("file", `Not a landmark recording (format ${JSON.stringify(rec?.format)})`);
+    return rec;
+  }
+
+  const PoseSource = {
+    BACKENDS,
+
+    // Options from the page URL: ?pose=pose|tasks picks the backend; ?video=<url> / ?landmarks=<url>
+    // play a file instead of the camera.
+    fromLocation(search = window.location.search) {
+      const q = new URLSearchParams(search);
+      const backend = BACKENDS.includes(q.get("pose")) ? q.get("pose") : "auto";
+      const url = q.get("landmarks") || q.get("video");
+      return { backend, url: url || null, recording: !!q.get("landmarks") };
+    },
+
+    // Ask the user for a video or a landmark recording; resolves to a File, or null when cancelled.
+    pickFile() {
+      return new Promise((resolve) => {
+        const input = Object.assign(document.createElement("input"), { type: "file", accept: "video/*,.json,application/json" });
+        input.addEventListener("change", () => resolve(input.files?.[0] || null), { once: true });
+        input.addEventListener("cancel", () => resolve(null), { once: true });
+        input.click();
+      });
+    },
+
+    // { video, backend, file, url, recording, loop }: `file` (File) or `url` play a file instead of
+    // the camera; a .json file — or recording: true — is a landmark recording.
+    create({ video, backend = "auto", file = null, url = null, recording = null, loop = true } = {}) {
+      const listeners = {};
+      const emit = (event, detail) => {
+        for (const fn of listeners[event] || []) {
+          try { fn(detail); } catch (e) { console.warn("PoseSource listener failed:", e); }
+        }
+      };
+      const playsRecording = recording ?? isRecording(file?.name || url);
+      let running = false, close = () => {}, model = null, rec = null;
+
+      const source = {
+        backend: null,                       // the model in use ("pose" | "tasks"), null for recordings
+        input: file || url ? (playsRecording ? "recording" : "video") : "camera",
+        meta: null,                          // recording's meta (isMirrored, aspect, …)
+        get running() { return running; },
+        // width / height of the frames the landmarks were normalized against (undefined until known)
+        get aspect() {
+          if (this.input === "recording") return this.meta?.aspect || undefined;
+          return (video.videoWidth / video.videoHeight) || undefined;
+        },
+        on(event, fn) {
+          (listeners[event] = listeners[event] || []).push(fn);
+          return () => { listeners[event] = (listeners[event] || []).filter((f) => f !== fn); };
+        },
+
+        async start() {
+          if (running) return;
+          if (playsRecording) {
+            rec = await readRecording({ file, url });
+            this.meta = rec.meta || {};
+            running = true;
+            PoseSource._playRecording(rec, { loop, isRunning: () => running, emit });
+            return;
+          }
+          close = this.input === "camera" ? await openCamera(video)
+            : await openVideoFile(video, file ? URL.createObjectURL(file) : url, loop);
+          video.setAttribute("playsinline", ""); video.muted = true;
+          await video.play().catch(() => {});
+          this.backend = backend === "auto" ? (legacyPoseCtor() ? "pose" : "tasks") : backend;
+          try { model = this.backend === "pose" ? await createLegacyPose() : await createTasksPose(); }
+          catch (e) { close(); throw e.code ? e : fail("no-model", e.message); }
+          running = true;
+          if (this.input === "video") video.addEventListener("ended", () => emit("end"));
+          PoseSource._runModel(video, model, { isRunning: () => running, emit });
+        },
+
+        stop() {
+          running = false;
+          model?.close(); model = null;
+          close(); close = () => {};
+        }
+      };
+      return source;
+    },
+
+    // One detection at a time, on each new video frame
+    _runModel(video, model, { isRunning, emit }) {
+      const next = (fn) => (video.requestVideoFrameCallback ? video.requestVideoFrameCallback(fn) : requestAnimationFrame(fn));
+      const step = async () => {
+        if (!isRunning()) return;
+        if (video.readyState >= 2) {
+          const t = performance.now();
+          try { emit("landmarks", { landmarks: await model.detect(video, t), t }); }
+          catch (e) { emit("error", e); }
+        }
+        next(step);
+      };
+      next(step);
+    },
+
+    // Frames at their recorded times (t: ms since the first frame), looping unless told not to
+    _playRecording(rec, { loop, isRunning, emit }) {
+      const frames = rec.frames, unpack = window.PoseRecorder.unpackLandmarks;
+      let t0 = performance.now(), i = 0;
+      const step = () => {
+        if (!isRunning()) return;
+        const now = performance.now(), elapsed = now - t0;
+        let frame = null;
+        while (i < frames.length && frames[i].t <= elapsed) frame = frames[i++];
+        if (frame) emit("landmarks", { landmarks: unpack(frame.lm), t: now });
+        if (i >= frames.length) {
+          emit("end");
+          if (!loop) return;
+          t0 = now; i = 0;
+        }
+        requestAnimationFrame(step);
+      };
+      requestAnimationFrame(step);
+    }
+  };
+
+  window.PoseSource = PoseSource;
+})();
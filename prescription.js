@@ -0,0 +1,166 @@
+// prescription.js
+// Therapist prescriptions: a JSON home program that drives exercise.html (which exercises, in what
+// order, sets, reps, rest, target progression and hold time). Loaded from ?rx=<url>, a file picked
+// on the exercise page, or the last one saved in localStorage (per profile, see profiles.js); always
+// validated before a session starts.
+//
+//   {
+//     "format": "rehabify-rx-v1",
+//     "title": "Week 3 – shoulders",            optional
+//     "prescribedBy": "J. Smith, PT",           optional
+//     "affectedSide": "left",                   optional, the patient's weaker arm (see below)
+//     "defaults": { "restSeconds": 20 },        optional, applied to every step
+//     "exercises": [
+//       { "exercise": "shoulderAbduction", "sets": 3, "reps": 5, "restSeconds": 30,
+//         "heightStep": 0.03, "degStep": 5, "targetDeg": { "left": 90, "right": 110 }, "holdSeconds": 1 },
+//       { "exercise": "miniSquats", "sets": 2, "reps": 8 }
+//     ]
+//   }
+//
+// Step fields (all optional except "exercise"; missing ones fall back to the exercise definition /
+// page defaults): sets, reps, restSeconds, heightStep (target rise per set, fraction of frame),
+// degStep (degrees per set, angle targets), targetDeg (number or { left, right }), holdSeconds
+// (time the hand must stay on a star), starRadius (fraction of the stage), popFrames, resetFrames,
+// upSeconds / downSeconds (least time for the way up / down per rep; either turns on tempo coaching).
+//
+// One-sided work (hemiparesis): with "affectedSide" set, arm exercises count reps per side and a step's
+// "sides" decides who takes part — "affected" (default: only that arm gets stars; calibration covers only
+// that arm when every step is "affected") or "both" (both arms, the affected one starting
+// "affectedStepsDown" progression steps lower, default 1). Leg exercises ignore it.
+
+(function () {
+  const FORMAT = "rehabify-rx-v1";
+  const KEY = "rehabify_prescription";
+  const profileKey = () => (window.Profiles ? window.Profiles.key(KEY) : KEY); // the active profile's
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const fmt = (v) => JSON.stringify(v);
+
+  // field → [min, max, integer?]
+  const RANGES = {
+    sets: [1, 20, true], reps: [1, 50, true], restSeconds: [0, 600, false],
+    heightStep: [0, 0.2, false], degStep: [0, 45, false], holdSeconds: [0, 30, false],
+    starRadius: [0.02, 0.3, false], popFrames: [1, 60, true], resetFrames: [1, 120, true],
+    affectedStepsDown: [0, 10, true], upSeconds: [0, 20, false], downSeconds: [0, 20, false]
+  };
+  const SIDES = ["left", "right"], SIDE_MODES = ["affected", "both"];
+
+  function checkStep(step, where, errors) {
+    const need = (cond, msg) => { if (!cond) errors.push(`${where}: ${msg}`); return cond; };
+    if (!need(step && typeof step === "object", "must be an object")) return;
+    for (const [k, [min, max, int]] of Object.entries(RANGES)) {
+      if (!(k in step)) continue;
+      const v = step[k];
+      need(isNum(v) && v >= min && v <= max && (!int || Number.isInteger(v)),
+        `${k} must be ${int ? "an integer" : "a number"} in ${min}..${max} (got ${fmt(v)})`);
+    }
+    if ("targetDeg" in step) {
+      const t = step.targetDeg, deg = (v) => isNum(v) && v >= 15 && v <= 180;
+      need(deg(t) || (t && typeof t === "object" && ["left", "right"].every((s) => t[s] == null || deg(t[s]))),
+        `targetDeg must be 15..180° or { left, right } (got ${fmt(t)})`);
+    }
+    if ("sides" in step) need(SIDE_MODES.includes(step.sides), `sides must be "affected" or "both" (got ${fmt(step.sides)})`);
+  }
+
+  const Prescription = {
+    FORMAT,
+    KEY,
+
+    // { ok, errors } — exercise ids are checked against ExerciseRegistry when it's loaded.
+    validate(rx) {
+      const errors = [];
+      if (!rx || typeof rx !== "object") return { ok: false, errors: ["Prescription is not an object"] };
+      if (rx.format !== FORMAT) errors.push(`format must be "${FORMAT}" (got ${fmt(rx.format)})`);
+      if ("affectedSide" in rx && !SIDES.includes(rx.affectedSide)) errors.push(`affectedSide must be "left" or "right" (got ${fmt(rx.affectedSide)})`);
+      if ("defaults" in rx) checkStep(rx.defaults, "defaults", errors);
+      if (!Array.isArray(rx.exercises) || !rx.exercises.length) {
+        errors.push("exercises must be a non-empty list");
+      } else {
+        const registry = window.ExerciseRegistry;
+        rx.exercises.forEach((step, i) => {
+          const where = `exercises[${i}]`;
+          checkStep(step, where, errors);
+          if (step && typeof step === "object" && registry && !registry.get(step.exercise)) {
+            errors.push(`${where}: unknown exercise ${fmt(step.exercise)} (known: ${registry.list().map((d) => d.id).join(", ")})`);
+          }
+        });
+      }
+      return { ok: errors.length === 0, errors };
+    },
+
+    // Raw JSON string or object → { rx, errors }; rx is null unless valid.
+    parse(raw) {
+      let rx = raw;
+      if (typeof raw === "string") {
+        try { rx = JSON.parse(raw); } catch (e) { return { rx: null, errors: [`Prescription is not valid JSON (${e.message})`] }; }
+      }
+      if (rx == null) return { rx: null, errors: [] };
+      const v = this.validate(rx);
+      return { rx: v.ok ? rx : null, errors: v.errors };
+    },
+
+    // { rx, errors, warnings, source }: ?rx=<url> wins (and becomes the stored prescription), then
+    // localStorage. A ?rx= prescription that can't be stored (quota, private mode) is still used, with a
+    // warning: it then lasts only as long as the ?rx= link.
+    async load({ search = window.location.search } = {}) {
+      const url = new URLSearchParams(search).get("rx");
+      if (url) {
+        let text;
+        try {
+          const res = await fetch(url, { cache: "no-store" });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          text = await res.text();
+        } catch (e) {
+          return { rx: null, errors: [`Could not load prescription ${url} (${e.message})`], warnings: [], source: "url" };
+        }
+        const out = this.parse(text), warnings = [];
+        if (out.rx) {
+          try { this.save(out.rx); } catch (e) { warnings.push(`Prescription not stored on this device (${e.message})`); }
+        }
+        return { ...out, warnings, source: "url" };
+      }
+      let raw = null;
+      try { raw = localStorage.getItem(profileKey()); } catch (e) { return { rx: null, errors: [`Storage unavailable (${e.message})`], warnings: [], source: null }; }
+      return { ...this.parse(raw), warnings: [], source: raw ? "storage" : null };
+    },
+
+    // File from an <input type="file"> → { rx, errors }
+    async readFile(file) {
+      try { return this.parse(await file.text()); }
+      catch (e) { return { rx: null, errors: [`Could not read ${file?.name ?? "file"} (${e.message})`] }; }
+    },
+
+    // Validates then stores as the active prescription. Throws with the validation messages if rejected.
+    save(rx) {
+      const v = this.validate(rx);
+      if (!v.ok) throw new Error(`Prescription rejected: ${v.errors.join("; ")}`);
+      localStorage.setItem(profileKey(), JSON.stringify(rx));
+      return rx;
+    },
+
+    clear() { try { localStorage.removeItem(profileKey()); } catch { } },
+
+    // Settings for step `index` (clamped to the program), defaults merged in; plus { index, total }.
+    stepAt(rx, index = 0) {
+      const total = rx.exercises.length;
+      const i = Math.max(0, Math.min(total - 1, Number.isInteger(index) ? index : 0));
+      return { ...(rx.defaults || {}), ...rx.exercises[i], index: i, total };
+    },
+
+    // Arms a step exercises: ["left"], ["right"] or both. unilateral is the exercise's flag (arm exercises).
+    sidesFor(rx, step, unilateral = true) {
+      const affected = rx?.affectedSide;
+      if (!affected || !unilateral || (step?.sides ?? "affected") === "both") return [...SIDES];
+      return [affected];
+    },
+
+    // Arms calibration.html should calibrate: only the affected one unless some step asks for both.
+    calibrationSides(rx) {
+      if (!rx?.affectedSide) return [...SIDES];
+      const both = rx.exercises.some((_, i) => this.stepAt(rx, i).sides === "both");
+      return both ? [...SIDES] : [rx.affectedSide];
+    }
+  };
+
+  window.Prescription = Prescription;
+})();
@@ -0,0 +1,174 @@
+// profiles.js
+// Named local profiles, so several patients can share one device (a clinic tablet). Each profile has its
+// own calibration, prescription and session history; the active one is remembered per device.
+//
+// Storage: a profile's keys are the usual keys with ":<id>" appended (Profiles.key()); the built-in
+// "default" profile uses the bare keys, so data from before profiles existed stays where it was.
+// calibration-schema.js and prescription.js resolve their keys through here; session-store.js tags
+// each session with its profileId.
+//
+//   Profiles.active()                  // { id, name, createdAt }
+//   Profiles.key("rehabify_prescription")
+//   Profiles.create("Ana P."); Profiles.setActive(id); await Profiles.remove(id);
+//   await Profiles.exportProfile(id)   // → { format: "rehabify-profile-v1", profile, data, sessions }
+//   await Profiles.importProfile(json) // → new profile (never overwrites one on this device)
+//   Profiles.mountPicker(element)      // select + New / Delete / Export / Import; switching reloads the page
+
+(function () {
+  const STORE_KEY = "rehabify_profiles";
+  const FORMAT = "rehabify-profile-v1";
+  const DEFAULT_ID = "default";
+  // What a profile holds in localStorage (besides its sessions)
+  const DATA_KEYS = { calibration: "calib_vertical_autohold", prescription: "rehabify_prescription" };
+  const label = (key, fallback, params) => (window.I18n ? window.I18n.t(key, params) : fallback);
+
+  function read() {
+    let s = null;
+    try { s = JSON.parse(localStorage.getItem(STORE_KEY) || "null"); } catch { }
+    const profiles = Array.isArray(s?.profiles) ? s.profiles.filter((p) => p && typeof p.id === "string") : [];
+    if (!profiles.some((p) => p.id === DEFAULT_ID)) profiles.unshift({ id: DEFAULT_ID, name: null, createdAt: 0 });
+    const active = profiles.some((p) => p.id === s?.active) ? s.active : DEFAULT_ID;
+    return { active, profiles };
+  }
+  function write(s) { localStorage.setItem(STORE_KEY, JSON.stringify(s)); }
+  const newId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const Profiles = {
+    DEFAULT_ID,
+    DATA_KEYS,
+    FORMAT,
+
+    list() { return read().profiles; },
+    get activeId() { return read().active; },
+    active() { const s = read(); return s.profiles.find((p) => p.id === s.active); },
+    get(id) { return read().profiles.find((p) => p.id === id) || null; },
+    // Display name ("Default" for the built-in profile)
+    nameOf(p) { return p?.name || label("profile.default", "Default"); },
+
+    key(base, id = this.activeId) { return id === DEFAULT_ID ? base : `${base}:${id}`; },
+
+    create(name) {
+      name = String(name ?? "").trim();
+      if (!name) throw new Error("A profile needs a name");
+      const s = read(), p = { id: newId(), name, createdAt: Date.now() };
+      s.profiles.push(p); write(s);
+      return p;
+    },
+
+    rename(id, name) {
+      const s = read(), p = s.profiles.find((x) => x.id === id);
+      if (!p) throw new Error(`No profile "${id}"`);
+      p.name = String(name ?? "").trim() || p.name; write(s);
+      return p;
+    },
+
+    setActive(id) {
+      const s = read();
+      if (!s.profiles.some((p) => p.id === id)) throw new Error(`No profile "${id}"`);
+      s.active = id; write(s);
+    },
+
+    // Deletes the profile with its calibration, prescription and sessions (not the default profile)
+    async remove(id) {
+      if (id === DEFAULT_ID) throw new Error("The default profile can't be removed");
+      const s = read();
+      s.profiles = s.profiles.filter((p) => p.id !== id);
+      if (s.active === id) s.active = DEFAULT_ID;
+      write(s);
+      for (const base of Object.values(DATA_KEYS)) {
+        try { localStorage.removeItem(this.key(base, id)); sessionStorage.removeItem(this.key(base, id)); } catch { }
+      }
+      await window.SessionStore?.removeProfile(id);
+    },
+
+    async exportProfile(id = this.activeId) {
+      const profile = this.get(id);
+      if (!profile) throw new Error(`No profile "${id}"`);
+      const data = {};
+      for (const [name, base] of Object.entries(DATA_KEYS)) {
+        const raw = localStorage.getItem(this.key(base, id));
+        try { data[name] = raw ? JSON.parse(raw) : null; } catch { data[name] = null; }
+      }
+      const sessions = window.SessionStore ? await window.SessionStore.list({ profile: id }) : [];
+      return { format: FORMAT, exportedAt: Date.now(), profile: { ...profile, name: this.nameOf(profile) }, data, sessions };
+    },
+
+    // JSON string or object from exportProfile() → the new profile. Calibration and prescription go
+    // through their own validation on use; sessions are sanitized (SessionStore.sanitize()) and added to
+    // this device's history.
+    async importProfile(raw, { name } = {}) {
+      let doc = raw;
+      if (typeof raw === "string") {
+        try { doc = JSON.parse(raw); } catch (e) { throw new Error(`Profile is not valid JSON (${e.message})`); }
+      }
+      if (doc?.format !== FORMAT) throw new Error(`Not a profile export (format ${JSON.stringify(doc?.format)})`);
+      const p = this.create(name || doc.profile?.name || "Imported");
+      for (const [key, base] of Object.entries(DATA_KEYS)) {
+        if (doc.data?.[key] != null) localStorage.setItem(this.key(base, p.id), JSON.stringify(doc.data[key]));
+      }
+      for (const raw of Array.isArray(doc.sessions) ? doc.sessions : []) {
+        // the file may come from anywhere: only fields and types the app records get stored
+        const session = window.SessionStore?.sanitize(raw);
+        if (session) await window.SessionStore.save({ ...session, profileId: p.id });
+      }
+      return p;
+    },
+
+    download(doc) {
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }));
+      a.download = `rehabify-profile-${doc.profile.name.replace(/[^\w-]+/g, "_")}.json`;
+      document.body.appendChild(a); a.click(); a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    // Profile <select> plus New / Export / Import buttons. Every page reads the profile once at load,
+    // so switching reloads (onSwitch, e.g. to drop query parameters that belonged to the old profile).
+    mountPicker(container, { className = "", onSwitch = () => window.location.reload(), onError = (e) => alert(label("profile.failed", `Profile: ${e.message}`, { error: e.message })) } = {}) {
+      if (!container) return;
+      const sel = document.createElement("select");
+      sel.className = className; sel.setAttribute("aria-label", label("profile.label", "Profile"));
+      for (const p of this.list()) {
+        const o = document.createElement("option"); o.value = p.id; o.textContent = this.nameOf(p); sel.appendChild(o);
+      }
+      sel.value = this.activeId;
+      sel.addEventListener("change", () => { this.setActive(sel.value); btnDelete.hidden = sel.value === DEFAULT_ID; onSwitch(); });
+
+      const button = (key, fallback, fn) => {
+        const b = document.createElement("button");
+        b.type = "button"; b.className = className; b.textContent = label(key, fallback);
+        b.addEventListener("click", () => Promise.resolve().then(fn).catch(onError));
+        return b;
+      };
+      const btnNew = button("profile.new", "＋ New", () => {
+        const name = prompt(label("profile.newPrompt", "Name for the new profile (patient)"));
+        if (!name || !name.trim()) return;
+        this.setActive(this.create(name).id); onSwitch();
+      });
+      // the selected profile, after the user confirms: its calibration, plan and sessions go with it
+      const btnDelete = button("profile.delete", "Delete", async () => {
+        const p = this.get(sel.value);
+        if (!p || p.id === DEFAULT_ID) return;
+        const name = this.nameOf(p);
+        if (!confirm(label("profile.deleteConfirm", `Delete the profile “${name}” with its calibration, plan and session history? This can't be undone.`, { name }))) return;
+        await this.remove(p.id); onSwitch();
+      });
+      btnDelete.hidden = sel.value === DEFAULT_ID;
+      const btnExport = button("profile.export", "Export", async () => this.download(await this.exportProfile()));
+      const btnImport = button("profile.import", "Import…", () => new Promise((resolve, reject) => {
+        const input = Object.assign(document.createElement("input"), { type: "file", accept: "application/json,.json" });
+        input.addEventListener("change", async () => {
+          try {
+            const file = input.files?.[0];
+            if (file) { this.setActive((await this.importProfile(await file.text())).id); onSwitch(); }
+            resolve();
+          } catch (e) { reject(e); }
+        }, { once: true });
+        input.click();
+      }));
+      container.append(sel, btnNew, btnDelete, btnExport, btnImport);
+    }
+  };
+
+  window.Profiles = Profiles;
+})();
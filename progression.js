@@ -0,0 +1,69 @@
+// progression.js
+// Adaptive per-side difficulty. Each side keeps its own "steps" — how many progression steps its
+// target sits above the set-1 target (heightStep / degStep per step, see exercises.js). After every
+// set the engine looks at that side's pops (time to pop, how consistent) and moves it up one step,
+// holds it, or drops it one step, so a struggling affected side isn't pushed at the good side's pace.
+//
+// startSteps lets a side begin below the other (an affected arm in a one-sided prescription).
+// Safety caps: steps stay within [minSteps, maxSteps[side]] — the page derives maxSteps from the
+// calibrated max reach (or max angle) so a target never goes past what the patient showed they can do
+// (plus a small allowance) — and a side moves at most one step per set.
+
+(function () {
+  const median = (xs) => { const s = [...xs].sort((a, b) => a - b), m = s.length >> 1; return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2; };
+  const cv = (xs) => {
+    const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const sd = Math.sqrt(xs.reduce((a, b) => a + (b - m) ** 2, 0) / xs.length);
+    return m > 0 ? sd / m : 0;
+  };
+
+  const Progression = {
+    create({
+      maxSteps = { left: 2, right: 2 }, minSteps = -2, startSteps = { left: 0, right: 0 },
+      fastMs = 3000,   // median pop at or under this …
+      cvLow = 0.35,    // … with pops this consistent → step up
+      slowMs = 7000,   // median pop over this …
+      cvHigh = 0.7,    // … or pops this erratic → step down
+      minPops = 2      // fewer pops in a set → hold
+    } = {}) {
+      const side = (s) => ({ steps: Math.max(minSteps, Math.min(maxSteps[s], startSteps[s] ?? 0)), pops: [], history: [] });
+      return {
+        maxSteps: { ...maxSteps }, minSteps, fastMs, cvLow, slowMs, cvHigh, minPops,
+        left: side("left"), right: side("right"),
+
+        steps(s) { return this[s].steps; },
+
+        // One star popped on side `s` after `popMs` ms.
+        recordPop(s, popMs) { if (Number.isFinite(popMs)) this[s].pops.push(popMs); },
+
+        // Decide both sides at the end of a set. Returns { left, right } with
+        // { change: -1 | 0 | 1, reason, steps, medianMs, cv } per side, and starts a fresh set.
+        endSet() {
+          const out = {};
+          for (const s of ["left", "right"]) {
+            const st = this[s], pops = st.pops;
+            let change = 0, reason = "not enough pops";
+            const med = pops.length ? median(pops) : null, c = pops.length > 1 ? cv(pops) : null;
+            if (pops.length >= this.minPops) {
+              if (med > this.slowMs || c > this.cvHigh) { change = -1; reason = med > this.slowMs ? "slow" : "inconsistent"; }
+              else if (med <= this.fastMs && c <= this.cvLow) { change = 1; reason = "fast and consistent"; }
+              else reason = "steady";
+            }
+            const next = Math.max(this.minSteps, Math.min(this.maxSteps[s], st.steps + change));
+            if (change > 0 && next === st.steps) reason = "at calibrated limit";
+            change = next - st.steps; st.steps = next;
+            out[s] = { change, reason, steps: next, medianMs: med, cv: c };
+            st.history.push(out[s]); st.pops = [];
+          }
+          return out;
+        },
+
+        snapshot() {
+          return { left: { steps: this.left.steps, history: this.left.history }, right: { steps: this.right.steps, history: this.right.history } };
+        }
+      };
+    }
+  };
+
+  window.Progression = Progression;
+})();
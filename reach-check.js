@@ -0,0 +1,135 @@
+// reach-check.js
+// Is the stored calibration still right for this patient (ReachCheck), and a quick in-session re-check
+// of the maximum reach when it isn't. Used by exercise.html.
+//
+// A calibration goes stale by age (maxAgeDays since it was saved or last re-checked) or is outgrown
+// when the patient's reps keep beating its maximum: of a side's last `window` reps since then, at least
+// `minBeats` went marginY higher than rom.maxReach{Side}Y or marginDeg past rom.maxAngle{Side}. Reps
+// are SessionStore records' reps ({ t, left, right } with peakY in the calibration's torso frame, see
+// exercise.html sideMetrics()).
+//
+// The re-check asks for one arm at a time to be raised as high as is comfortable and held still for
+// holdSeconds; the highest steady wrist height and angle replace that side's ROM (apply()), the ladder
+// rungs stay as they are. Pure logic: no DOM; time comes from rc.clock like CalibAuto.
+//
+//   ReachCheck.staleness(calib, reps)        // { stale, reasons: [{ kind: "age", days } | { kind: "outgrown", side, beats, of }] }
+//   const rc = ReachCheck.create({ sides: ["left"], neutralY });
+//   ReachCheck.update(rc, { y, deg })        // current side's wrist y (torso frame) and angle → { side, progress, done, finished }
+//   ReachCheck.resume(rc)                    // after the page stopped feeding frames (paused): hold and timeout start over
+//   ReachCheck.apply(calib, rc.results)      // → updated payload for CalibrationBridge.save()
+
+(function () {
+  const DAY_MS = 24 * 3600 * 1000;
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const Side = (side) => (side === "left" ? "Left" : "Right");
+
+  const DEFAULTS = { maxAgeDays: 30, marginY: 0.03, marginDeg: 8, window: 6, minBeats: 4 };
+  // Longest frame gap (s) that counts toward the hold: a stall or a paused loop can't complete it
+  const MAX_FRAME_GAP = 0.25;
+
+  const ReachCheck = {
+    DEFAULTS,
+
+    // When the ROM was last measured: the calibration itself or a later re-check (0 == unknown)
+    checkedAt(calib) { return Math.max(calib?.t ?? 0, calib?.rom?.checkedAt ?? 0); },
+
+    ageDays(calib, now = Date.now()) {
+      const at = this.checkedAt(calib);
+      return at ? Math.floor((now - at) / DAY_MS) : null;
+    },
+
+    // Whether one rep's side metrics went clearly past the calibrated maximum
+    beats(calib, side, m, { marginY = DEFAULTS.marginY, marginDeg = DEFAULTS.marginDeg } = {}) {
+      const rom = calib?.rom;
+      if (!rom || !m) return false;
+      const maxDeg = rom[`maxAngle${Side(side)}`], maxY = rom[`maxReach${Side(side)}Y`];
+      if (isNum(maxDeg) && isNum(m.peakDeg) && m.peakDeg > maxDeg + marginDeg) return true;
+      // a max reach at the top rung is as high as the ladder measures: reaching above it says nothing
+      return isNum(maxY) && maxY > calib.yTop + 1e-3 && isNum(m.peakY) && m.peakY < maxY - marginY;
+    },
+
+    // Sides whose recent reps (since the last measurement) consistently beat the calibration
+    outgrown(calib, reps, opts = {}) {
+      const { window: n, minBeats } = { ...DEFAULTS, ...opts }, since = this.checkedAt(calib);
+      const out = [];
+      for (const side of calib?.sides ?? []) {
+        const recent = reps.filter((r) => r && r.t > since && r[side]).slice(-n);
+        const beats = recent.filter((r) => this.beats(calib, side, r[side], opts)).length;
+        if (recent.length >= minBeats && beats >= minBeats) out.push({ side, beats, of: recent.length });
+      }
+      return out;
+    },
+
+    staleness(calib, reps = [], { now = Date.now(), ...opts } = {}) {
+      const reasons = [];
+      if (!calib) return { stale: false, reasons };
+      const days = this.ageDays(calib, now), maxAgeDays = opts.maxAgeDays ?? DEFAULTS.maxAgeDays;
+      if (days != null && maxAgeDays && days > maxAgeDays) reasons.push({ kind: "age", days });
+      for (const o of this.outgrown(calib, reps, opts)) reasons.push({ kind: "outgrown", ...o });
+      return { stale: reasons.length > 0, reasons };
+    },
+
+    // --- In-session re-check
+    create({ sides, neutralY, holdSeconds = 2, maxSpeedPerSec = 0.25, raised = 0.1, timeoutSeconds = 20, clock = () => performance.now() } = {}) {
+      return {
+        sides: [...sides], neutralY, holdSeconds, maxSpeedPerSec, raised, timeoutSeconds, clock,
+        index: 0, results: {},
+        _startedAt: null, _lastTs: null, _y: null, _best: null, _maxDeg: null, _hold: 0
+      };
+    },
+
+    // One frame for the side being checked: y = wrist height in the calibration's torso frame (null when
+    // not visible), deg = its abduction angle (null when not measured). A side ends after holding near
+    // its highest steady point for holdSeconds, or gives up after timeoutSeconds (result null); the frame
+    // that ends it returns `finished` (that side) and `side` (the next one, null when done).
+    update(rc, { y = null, deg = null } = {}) {
+      const side = rc.sides[rc.index], now = rc.clock();
+      if (side == null) return { side: null, progress: 1, done: true, finished: null };
+      if (rc._startedAt == null) rc._startedAt = now;
+      const dt = rc._lastTs == null ? 0 : Math.min((now - rc._lastTs) / 1000, MAX_FRAME_GAP); rc._lastTs = now;
+
+      if (isNum(y)) {
+        const prev = rc._y; rc._y = prev == null ? y : prev + 0.35 * (y - prev);
+        const speed = prev != null && dt > 0 ? Math.abs(rc._y - prev) / dt : Infinity;
+        // a steady, raised arm; the hold counts only near the best height seen so far
+        const steady = speed <= rc.maxSpeedPerSec && rc._y < rc.neutralY - rc.raised;
+        if (steady && (rc._best == null || rc._y < rc._best)) rc._best = rc._y;
+        if (steady && rc._y <= rc._best + 0.02) {
+          rc._hold += dt;
+          if (isNum(deg)) rc._maxDeg = Math.max(rc._maxDeg ?? 0, deg);
+        } else { rc._hold = 0; rc._maxDeg = null; }
+      } else { rc._y = null; rc._hold = 0; }
+
+      const progress = Math.min(1, rc._hold / rc.holdSeconds);
+      const held = rc._hold >= rc.holdSeconds, timedOut = now - rc._startedAt > rc.timeoutSeconds * 1000;
+      if (!held && !timedOut) return { side, progress, done: false, finished: null };
+
+      rc.results[side] = held ? { y: rc._best, deg: rc._maxDeg } : null;
+      rc.index++;
+      Object.assign(rc, { _startedAt: null, _lastTs: null, _y: null, _best: null, _maxDeg: null, _hold: 0 });
+      const done = rc.index >= rc.sides.length;
+      return { side: done ? null : rc.sides[rc.index], progress: done ? 1 : 0, done, finished: side };
+    },
+
+    // Frames stopped for a while (a paused session): the current side starts over, with a fresh timeout
+    // and no steady time carried across the gap. The best height so far is kept.
+    resume(rc) {
+      Object.assign(rc, { _startedAt: null, _lastTs: null, _y: null, _hold: 0, _maxDeg: null });
+    },
+
+    // Calibration payload with the re-checked sides' ROM replaced and rom.checkedAt set. Heights stay
+    // inside what the ladder measures (yTop … just above neutral), like calibration.js saves them.
+    apply(calib, results, now = Date.now()) {
+      const rom = { ...calib.rom, checkedAt: now };
+      for (const [side, r] of Object.entries(results || {})) {
+        if (!r || !calib.sides.includes(side)) continue;
+        if (isNum(r.y)) rom[`maxReach${Side(side)}Y`] = Math.min(Math.max(calib.yTop, r.y), rom.neutralY - 1e-3);
+        const neutral = rom[`neutralAngle${Side(side)}`];
+        if (isNum(r.deg)) rom[`maxAngle${Side(side)}`] = isNum(neutral) ? Math.max(neutral, r.deg) : r.deg;
+      }
+      return { ...calib, rom };
+    }
+  };
+
+  window.ReachCheck = ReachCheck;
+})();
@@ -0,0 +1,296 @@
+// session-report.js
+// Clinical report for one exercise session (a SessionStore record): the calibration it ran against
+// (rungs, rom), levels completed, reps per level, timing and the coaching / compensation events, with an
+// optional clinician sign-off. Exported as
+//
+//   JSON   the report itself ("rehabify-report-v1")
+//   CSV    one row per rep and side (spreadsheets)
+//   FHIR   an R4 Bundle (type "collection") of Observations, to attach to the patient's EHR record
+//   HTML   a printable summary (print()/"Save as PDF")
+//
+//   const report = SessionReport.build(session, { patient: { id: "123" } });
+//   const signed = await SessionReport.signOff(report, { by: "Dr. Ortiz", role: "PT", note: "…" });
+//   SessionReport.download(signed, "fhir");        // "json" | "csv" | "fhir" | "html"
+//   SessionReport.openDialog(session, { onClose }); // sign-off fields + export buttons (exercise.html, history.html)
+//
+// The sign-off carries a SHA-256 digest of the report it signed, so later edits to the file show
+// (verify()). Needs a secure context (crypto.subtle / randomUUID), like the rest of the app.
+
+(function () {
+  const FORMAT = "rehabify-report-v1";
+  // Our own codes: these measures have no LOINC equivalent
+  const CODE_SYSTEM = "urn:rehabify:observation";
+  const SIDES = ["left", "right"];
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const mean = (xs) => { const v = xs.filter(isNum); return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null; };
+  const max = (xs) => { const v = xs.filter(isNum); return v.length ? Math.max(...v) : null; };
+  const round = (v, d = 0) => (isNum(v) ? +v.toFixed(d) : null);
+  const iso = (t) => (isNum(t) ? new Date(t).toISOString() : null);
+  const label = (key, fallback, params) => (window.I18n ? window.I18n.t(key, params) : fallback);
+  const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+  // Without its own signOff: what the digest covers
+  const unsigned = (report) => { const { signOff, ...rest } = report; return rest; };
+
+  async function sha256(text) {
+    const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  const SessionReport = {
+    FORMAT,
+    CODE_SYSTEM,
+
+    // session: a SessionStore record; calibration defaults to the payload stored with it
+    build(session, { patient = null, calibration = session?.calibration ?? null, now = Date.now() } = {}) {
+      const reps = session?.reps || [];
+      const levels = [], lastLevel = Math.max(session?.levelsCompleted || 0, ...reps.map((r) => r.level).filter(isNum));
+      for (let level = 1; level <= lastLevel; level++) {
+        const own = reps.filter((r) => r.level === level), times = own.map((r) => r.t).filter(isNum);
+        levels.push({
+          level, reps: own.length,
+          endedEarly: (session.setsEndedEarly || []).some((s) => s.level === level),
+          firstRepAt: times.length ? Math.min(...times) : null, lastRepAt: times.length ? Math.max(...times) : null
+        });
+      }
+      const sideSummary = (side) => {
+        const m = reps.map((r) => r[side]).filter(Boolean), q = reps.map((r) => r.quality?.[side]).filter(Boolean);
+        if (!m.length && !q.length) return null;
+        return {
+          reps: m.length,
+          maxPeakDeg: round(max(m.map((x) => x.peakDeg)), 1), meanPeakDeg: round(mean(m.map((x) => x.peakDeg)), 1),
+          meanAboveNeutral: round(mean(m.map((x) => x.aboveNeutral)), 4),
+          meanTimeToPopMs: round(mean(m.map((x) => x.timeToPopMs))), meanResetMs: round(mean(m.map((x) => x.resetMs))),
+          meanAscentMs: round(mean(q.map((x) => x.ascentMs))), meanDescentMs: round(mean(q.map((x) => x.descentMs))),
+          meanSmoothness: round(mean(q.map((x) => x.smoothness)), 2)
+        };
+      };
+      return {
+        format: FORMAT, generatedAt: now,
+        patient: patient && (patient.id || patient.name) ? { id: patient.id || null, name: patient.name || null } : null,
+        session: {
+          id: session?.id ?? null, exercise: session?.exercise ?? null,
+          startedAt: session?.startedAt ?? null, endedAt: session?.endedAt ?? null,
+          durationMs: isNum(session?.endedAt) && isNum(session?.startedAt) ? session.endedAt - session.startedAt : null,
+          completed: !!session?.completed, levels: session?.levels ?? null, levelsCompleted: session?.levelsCompleted ?? 0,
+          repsPerLevel: session?.repsPerLevel ?? null, sides: session?.sides ?? SIDES, affectedSide: session?.affectedSide ?? null,
+          prescription: session?.prescription ?? null
+        },
+        calibration: calibration ?? session?.calib ?? null,
+        levels,
+        reps,
+        summary: {
+          reps: reps.length,
+          left: sideSummary("left"), right: sideSummary("right"),
+          asymmetry: session?.asymmetry ?? null, compensation: session?.compensation ?? null,
+          setsEndedEarly: (session?.setsEndedEarly || []).length
+        },
+        events: session?.events || [],
+        signOff: null
+      };
+    },
+
+    async signOff(report, { by, role = null, note = null, at = Date.now() } = {}) {
+      if (!by || !String(by).trim()) throw new Error("Sign-off needs the clinician's name");
+      const digest = await sha256(JSON.stringify(unsigned(report)));
+      return { ...report, signOff: { by: String(by).trim(), role: role || null, note: note || null, at, digest: `sha256:${digest}` } };
+    },
+
+    // true / false for a signed report (does the digest still match?), null when unsigned
+    async verify(report) {
+      if (!report?.signOff?.digest) return null;
+      return report.signOff.digest === `sha256:${await sha256(JSON.stringify(unsigned(report)))}`;
+    },
+
+    toJSON(report) { return JSON.stringify(report, null, 2); },
+
+    // One row per rep and side that has data; the session's identity is repeated on each row
+    toCSV(report) {
+      const cols = [
+        "session_started", "exercise", "level", "rep", "time", "side",
+        "peak_deg", "target_deg", "above_neutral", "vs_calibrated", "time_to_pop_ms", "reset_ms",
+        "ascent_ms", "hold_ms", "descent_ms", "smoothness", "hold_sway", "signed_off_by"
+      ];
+      const cell = (v) => { const s = v == null ? "" : String(v); return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+      const rows = [cols.join(",")];
+      for (const r of report.reps) {
+        for (const side of SIDES) {
+          const m = r[side], q = r.quality?.[side];
+          if (!m && !q) continue;
+          rows.push([
+            iso(report.session.startedAt), report.session.exercise, r.level, r.rep, iso(r.t), side,
+            m?.peakDeg, m?.targetDeg, m?.aboveNeutral, m?.vsCalibrated, m?.timeToPopMs, m?.resetMs,
+            q?.ascentMs, q?.holdMs, q?.descentMs, q?.smoothness, q?.holdSway, report.signOff?.by
+          ].map(cell).join(","));
+        }
+      }
+      return rows.join("\r\n") + "\r\n";
+    },
+
+    // FHIR R4 Bundle of Observations (status final, category activity)
+    toFHIR(report) {
+      const s = report.session, c = report.calibration || {}, rom = c.rom || c;
+      const base = {
+        resourceType: "Observation", status: "final",
+        category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: "activity", display: "Activity" }] }],
+        ...(report.patient?.id ? { subject: { reference: `Patient/${report.patient.id}`, ...(report.patient.name ? { display: report.patient.name } : {}) } } : {}),
+        effectivePeriod: { start: iso(s.startedAt), ...(s.endedAt ? { end: iso(s.endedAt) } : {}) },
+        issued: iso(report.signOff?.at ?? report.generatedAt),
+        ...(report.signOff ? { performer: [{ display: report.signOff.role ? `${report.signOff.by} (${report.signOff.role})` : report.signOff.by }] } : {}),
+        ...(report.signOff?.note ? { note: [{ text: report.signOff.note }] } : {})
+      };
+      const code = (id, display) => ({ coding: [{ system: CODE_SYSTEM, code: id, display }], text: display });
+      const qty = (value, unit, ucum) => ({ value, unit, system: "http://unitsofmeasure.org", code: ucum });
+      const bodySite = (side) => ({ text: side === "left" ? "Left shoulder" : "Right shoulder" });
+      const obs = [];
+
+      obs.push({
+        ...base, code: code("session-levels-completed", `Exercise session levels completed (${s.exercise})`),
+        valueInteger: s.levelsCompleted,
+        component: report.levels.map((l) => ({ code: code(`level-${l.level}-reps`, `Reps at level ${l.level}`), valueInteger: l.reps }))
+      });
+      for (const side of SIDES) {
+        const calibDeg = side === "left" ? rom.maxAngleLeft : rom.maxAngleRight;
+        if (isNum(calibDeg)) obs.push({ ...base, code: code("calibrated-max-abduction", "Calibrated maximum shoulder abduction"), bodySite: bodySite(side), valueQuantity: qty(round(calibDeg, 1), "deg", "deg") });
+        const sum = report.summary[side];
+        if (isNum(sum?.maxPeakDeg)) obs.push({ ...base, code: code("session-peak-abduction", "Peak shoulder abduction during session"), bodySite: bodySite(side), valueQuantity: qty(sum.maxPeakDeg, "deg", "deg") });
+        if (isNum(sum?.meanTimeToPopMs)) obs.push({ ...base, code: code("mean-time-to-target", "Mean time to reach target"), bodySite: bodySite(side), valueQuantity: qty(round(sum.meanTimeToPopMs / 1000, 2), "s", "s") });
+      }
+      const counts = report.summary.compensation?.counts || {};
+      if (Object.keys(counts).length) {
+        obs.push({
+          ...base, code: code("compensation-episodes", "Compensation episodes during session"),
+          component: Object.entries(counts).map(([k, n]) => ({ code: code(`compensation-${k}`, k), valueInteger: n }))
+        });
+      }
+      return {
+        resourceType: "Bundle", type: "collection", timestamp: iso(report.generatedAt),
+        ...(report.signOff ? { identifier: { system: CODE_SYSTEM, value: report.signOff.digest } } : {}),
+        entry: obs.map((resource) => ({ fullUrl: `urn:uuid:${crypto.randomUUID()}`, resource }))
+      };
+    },
+
+    // Standalone printable HTML document
+    toHTML(report) {
+      const s = report.session, c = report.calibration || {}, rom = c.rom || {};
+      const num = (v, d = 0, unit = "") => (isNum(v) ? `${v.toFixed(d)}${unit}` : "–");
+      const sideRow = (side) => {
+        const m = report.summary[side];
+        return `<tr><th>${side === "left" ? "Left" : "Right"}</th><td>${m?.reps ?? 0}</td><td>${num(m?.maxPeakDeg, 1, "°")}</td><td>${num(m?.meanPeakDeg, 1, "°")}</td>`
+          + `<td>${num(isNum(m?.meanTimeToPopMs) ? m.meanTimeToPopMs / 1000 : null, 1, " s")}</td><td>${num(isNum(m?.meanAscentMs) ? m.meanAscentMs / 1000 : null, 1, " s")} / ${num(isNum(m?.meanDescentMs) ? m.meanDescentMs / 1000 : null, 1, " s")}</td></tr>`;
+      };
+      const events = report.events.slice(0, 200).map((e) => `<tr><td>${esc(new Date(e.t).toLocaleTimeString())}</td><td>${esc(e.kind)}</td><td>${esc(e.message ?? [e.type, e.pattern, e.side, e.reason].filter(Boolean).join(" "))}</td></tr>`).join("");
+      return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>Rehabify session report – ${esc(s.exercise)} – ${esc(new Date(s.startedAt).toLocaleDateString())}</title>
+<style>
+  body{font:13px/1.45 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;color:#111;margin:24px}
+  h1{font-size:20px;margin:0 0 4px} h2{font-size:15px;margin:18px 0 6px} .muted{color:#666}
+  table{border-collapse:collapse;width:100%;margin:4px 0} th,td{text-align:left;padding:4px 6px;border-bottom:1px solid #ddd}
+  .sign{margin-top:24px;padding:10px;border:1px solid #999;border-radius:6px}
+  @media print{ body{margin:0} }
+</style></head><body>
+<h1>Rehabify session report</h1>
+<div class="muted">${esc(s.exercise)} • ${esc(new Date(s.startedAt).toLocaleString())}${s.durationMs != null ? ` • ${Math.round(s.durationMs / 60000)} min` : ""}${report.patient ? ` • Patient ${esc(report.patient.name || report.patient.id)}` : ""}</div>
+
+<h2>Session</h2>
+<table>
+  <tr><th>Levels completed</th><td>${s.levelsCompleted} / ${s.levels ?? "–"}${s.completed ? "" : " (partial)"}</td></tr>
+  <tr><th>Reps per level</th><td>${report.levels.map((l) => `L${l.level}: ${l.reps}${l.endedEarly ? " (ended early)" : ""}`).join(" • ") || "–"}</td></tr>
+  <tr><th>Sides</th><td>${esc((s.sides || []).join(", "))}${s.affectedSide ? ` (affected: ${esc(s.affectedSide)})` : ""}</td></tr>
+  ${s.prescription ? `<tr><th>Plan</th><td>${esc(s.prescription.title || "–")}${s.prescription.prescribedBy ? `, ${esc(s.prescription.prescribedBy)}` : ""}</td></tr>` : ""}
+</table>
+
+<h2>Results</h2>
+<table><tr><th></th><th>Reps</th><th>Peak angle</th><th>Mean angle</th><th>Time to target</th><th>Up / down</th></tr>${sideRow("left")}${sideRow("right")}</table>
+
+<h2>Calibration</h2>
+<table>
+  <tr><th>Saved</th><td>${isNum(c.t) ? esc(new Date(c.t).toLocaleString()) : "–"} ${c.version ? `(${esc(c.version)})` : ""}</td></tr>
+  <tr><th>Rungs L / R</th><td>${c.leftIndex ?? "–"} / ${c.rightIndex ?? "–"} of ${c.count ?? "–"}</td></tr>
+  <tr><th>Max abduction L / R</th><td>${num(rom.maxAngleLeft ?? c.maxAngleLeft, 1, "°")} / ${num(rom.maxAngleRight ?? c.maxAngleRight, 1, "°")}</td></tr>
+  <tr><th>Confidence</th><td>${isNum(c.quality?.score) ? `${Math.round(c.quality.score * 100)}%` : "–"}</td></tr>
+  ${isNum(rom.checkedAt) ? `<tr><th>Reach re-checked</th><td>${esc(new Date(rom.checkedAt).toLocaleString())}</td></tr>` : ""}
+</table>
+
+${events ? `<h2>Coaching and compensation</h2><table>${events}</table>` : ""}
+
+<div class="sign">${report.signOff
+    ? `Signed off by <b>${esc(report.signOff.by)}</b>${report.signOff.role ? `, ${esc(report.signOff.role)}` : ""} on ${esc(new Date(report.signOff.at).toLocaleString())}${report.signOff.note ? `<p>${esc(report.signOff.note)}</p>` : ""}<div class="muted">${esc(report.signOff.digest)}</div>`
+    : "Not signed off.<br><br>Clinician: ______________________ &nbsp; Date: ____________"}</div>
+</body></html>`;
+    },
+
+    filename(report, ext) {
+      const day = iso(report.session.startedAt ?? report.generatedAt).slice(0, 10);
+      return `rehabify-${report.session.exercise || "session"}-${day}.${ext}`;
+    },
+
+    download(report, format = "json") {
+      const out = {
+        json: [this.toJSON(report), "application/json", "json"],
+        csv: [this.toCSV(report), "text/csv", "csv"],
+        fhir: [JSON.stringify(this.toFHIR(report), null, 2), "application/fhir+json", "fhir.json"],
+        html: [this.toHTML(report), "text/html", "html"]
+      }[format];
+      if (!out) throw new Error(`Unknown report format "${format}"`);
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(new Blob([out[0]], { type: out[1] })); a.download = this.filename(report, out[2]);
+      document.body.appendChild(a); a.click(); a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    // Printable summary in a new window (the browser's print dialog can save it as PDF)
+    print(report) {
+      const w = window.open("", "_blank");
+      if (!w) { this.download(report, "html"); return; }
+      w.document.write(this.toHTML(report)); w.document.close();
+      setTimeout(() => w.print(), 300);
+    },
+
+    // Modal with patient / sign-off fields and one button per format. Resolves when closed.
+    openDialog(session, { patient = null, calibration, onClose } = {}) {
+      const dlg = document.createElement("dialog");
+      dlg.className = "reportDialog";
+      const t = (key, fallback) => esc(label(key, fallback));
+      dlg.innerHTML = `
+        <form method="dialog">
+          <h3>${t("report.title", "Session report")}</h3>
+          <label>${t("report.patientId", "Patient ID (optional)")}<input name="patientId" autocomplete="off"></label>
+          <label>${t("report.signedBy", "Signed off by (clinician)")}<input name="by" autocomplete="name"></label>
+          <label>${t("report.role", "Role")}<input name="role" placeholder="PT"></label>
+          <label>${t("report.note", "Note")}<textarea name="note" rows="2"></textarea></label>
+          <div class="reportError" role="alert"></div>
+          <div class="reportButtons">
+            <button type="button" data-format="html">${t("report.print", "Print")}</button>
+            <button type="button" data-format="csv">CSV</button>
+            <button type="button" data-format="json">JSON</button>
+            <button type="button" data-format="fhir">FHIR</button>
+            <button value="close" class="secondary">${t("report.done", "Done")}</button>
+          </div>
+        </form>`;
+      if (patient?.id) dlg.querySelector("[name=patientId]").value = patient.id;
+      const form = dlg.querySelector("form"), error = dlg.querySelector(".reportError");
+      const make = async () => {
+        const f = new FormData(form), id = String(f.get("patientId") || "").trim();
+        const report = this.build(session, { patient: id ? { ...patient, id } : patient, calibration });
+        const by = String(f.get("by") || "").trim();
+        return by ? this.signOff(report, { by, role: String(f.get("role") || "").trim(), note: String(f.get("note") || "").trim() }) : report;
+      };
+      dlg.querySelectorAll("[data-format]").forEach((btn) => btn.addEventListener("click", async () => {
+        error.textContent = "";
+        try {
+          const report = await make();
+          if (btn.dataset.format === "html") this.print(report); else this.download(report, btn.dataset.format);
+        } catch (e) { error.textContent = label("report.failed", `Export failed: ${e.message}`, { error: e.message }); }
+      }));
+      document.body.appendChild(dlg);
+      return new Promise((resolve) => {
+        dlg.addEventListener("close", () => { dlg.remove(); onClose?.(); resolve(); }, { once: true });
+        dlg.showModal();
+      });
+    }
+  };
+
+  window.SessionReport = SessionReport;
+})();
@@ -0,0 +1,172 @@
+// session-store.js
+// Local session history (IndexedDB). One record per exercise session, including per-rep metrics,
+// so clinicians can see how range of motion changes between visits. Sessions saved while offline are
+// flagged `queued` until exported (queued() / markExported()). Each session belongs to a profile
+// (profiles.js, `profileId`); list() returns the active profile's.
+//
+// Sessions from elsewhere (a profile import) go through sanitize() first: only the fields exercise.html
+// records are kept, with the type it records them as, and the exercise must be a registry id.
+
+(function () {
+  const DB_NAME = "rehabify";
+  const DB_VERSION = 1;
+  const STORE = "sessions";
+
+  let dbPromise = null;
+
+  const activeProfile = () => window.Profiles?.activeId ?? "default";
+  const profileOf = (s) => s.profileId ?? "default"; // sessions from before profiles: the default profile
+
+  // --- Shape of a session record (exercise.html newSession() / recordRep()), for sanitize()
+  const MAX_STR = 500, MAX_LIST = 5000;
+  const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+  const bool = (v) => (typeof v === "boolean" ? v : null);
+  const str = (v) => (typeof v === "string" ? v.slice(0, MAX_STR) : null);
+  const side = (v) => (v === "left" || v === "right" ? v : null);
+  const list = (of) => (v) => (Array.isArray(v) ? v.slice(0, MAX_LIST).map(of).filter((x) => x != null) : []);
+  const shape = (fields) => (v) => (isObj(v) ? Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f(v[k])])) : null);
+  // { name: number } maps (compensation counts); names are plain identifiers
+  const counts = (v) => (isObj(v) ? Object.fromEntries(Object.entries(v).filter(([k, n]) => /^[\w:-]{1,40}$/.test(k) && num(n) != null)) : null);
+  const exerciseId = (v) => (typeof v === "string" && (window.ExerciseRegistry ? !!window.ExerciseRegistry.get(v) : /^[A-Za-z]\w{0,40}$/.test(v)) ? v : null);
+  const perSide = (of) => shape({ left: of, right: of });
+  // the payload the session ran with (calibration-schema.js): must be valid, then trimmed to its fields
+  const calibPayload = shape({
+    version: str, t: num, mirror: bool, count: num, yTop: num, yBottom: num, leftX: num, rightX: num, hitRadius: num,
+    sides: list(side), leftIndex: num, rightIndex: num, leftY: num, rightY: num,
+    body: shape({ cx: num, cy: num, scale: num }),
+    rom: shape({
+      neutralY: num, maxReachLeftY: num, maxReachRightY: num, checkedAt: num,
+      neutralAngleLeft: num, neutralAngleRight: num, maxAngleLeft: num, maxAngleRight: num
+    }),
+    quality: shape({ score: num, framing: num, distance: num, tiltDeg: num, jitter: num })
+  });
+  const calibration = (v) => (isObj(v) && typeof v.version === "string" && window.CalibrationSchema
+    ? calibPayload(window.CalibrationSchema.parse(v).payload) : null);
+
+  const sideMetrics = shape({
+    timeToPopMs: num, resetMs: num, peakY: num, targetY: num, peakDeg: num, targetDeg: num, aboveNeutral: num, vsCalibrated: num
+  });
+  const quality = shape({ ascentMs: num, holdMs: num, descentMs: num, peakSpeed: num, smoothness: num, holdSway: num, excursion: num });
+  const SESSION = {
+    startedAt: num, endedAt: num, completed: bool, exportedAt: num,
+    exercise: exerciseId, levels: num, repsPerLevel: num,
+    sides: list(side), affectedSide: side, perSideReps: bool,
+    prescription: shape({ title: str, prescribedBy: str, step: num, total: num }),
+    calib: shape({
+      t: num, version: str, neutralY: num, leftY: num, rightY: num,
+      maxReachLeftY: num, maxReachRightY: num, maxAngleLeft: num, maxAngleRight: num
+    }),
+    calibration,
+    levelsCompleted: num,
+    setsEndedEarly: list(shape({ level: num, reps: num })),
+    events: list(shape({ t: num, kind: str, level: num, key: str, type: str, message: str, pattern: str, side, reason: str })),
+    rechecks: list(shape({ t: num, results: perSide(shape({ y: num, deg: num })) })),
+    reps: list(shape({
+      t: num, level: num, rep: num, side, durationMs: num,
+      left: sideMetrics, right: sideMetrics, quality: perSide(quality)
+    })),
+    progression: perSide(shape({ steps: num, history: list(shape({ change: num, reason: str, steps: num, medianMs: num, cv: num })) })),
+    asymmetry: shape({ reachDiffPct: num, angleDiffDeg: num, popRatio: num, resetRatio: num, calibReachDiffPct: num, calibAngleDiffDeg: num }),
+    compensation: shape({ counts, activeMs: counts, referenceRepMs: num, fatigueSuggestions: num })
+  };
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error("IndexedDB not available")); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const os = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+          os.createIndex("startedAt", "startedAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  // Run fn(store) inside a transaction; resolves with the value of the request fn returns (if any).
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  window.SessionStore = {
+    // A session from outside this device → a record with only the known fields, each of the type the
+    // app stores (anything else becomes null / []), or null when it has no startedAt or exercise.
+    // No id or profileId: the caller decides where it goes.
+    sanitize(raw) {
+      const s = shape(SESSION)(raw);
+      if (!s || s.startedAt == null || s.exercise == null) return null;
+      s.completed = s.completed ?? false;
+      return s;
+    },
+
+    // Insert or update a session record. Returns the record id.
+    async save(session) {
+      if (!session || !Number.isFinite(session.startedAt)) throw new Error("Session needs a numeric startedAt");
+      if (navigator.onLine === false && !session.exportedAt) session.queued = true;
+      if (session.profileId == null) session.profileId = activeProfile();
+      const record = { ...session };
+      if (record.id == null) delete record.id;
+      const id = await withStore("readwrite", (os) => os.put(record));
+      session.id = id;
+      return id;
+    },
+
+    async get(id) {
+      return withStore("readonly", (os) => os.get(id));
+    },
+
+    // The active profile's sessions (or `profile`'s; null for every profile), optionally since a
+    // timestamp, oldest first.
+    async list({ since = 0, profile = activeProfile() } = {}) {
+      const rows = await withStore("readonly", (os) => os.index("startedAt").getAll(IDBKeyRange.lowerBound(since)));
+      return (rows || []).filter((s) => profile == null || profileOf(s) === profile);
+    },
+
+    // Sessions waiting for export (saved while offline, any profile), oldest first.
+    async queued() {
+      return (await this.list({ profile: null })).filter((s) => s.queued);
+    },
+
+    // Take sessions off the export queue once they've been exported.
+    async markExported(ids, at = Date.now()) {
+      const want = new Set(ids);
+      await withStore("readwrite", (os) => {
+        const req = os.openCursor();
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (!cur) return;
+          if (want.has(cur.value.id)) cur.update({ ...cur.value, queued: false, exportedAt: at });
+          cur.continue();
+        };
+        return null;
+      });
+    },
+
+    async remove(id) {
+      await withStore("readwrite", (os) => os.delete(id));
+    },
+
+    // Every session of one profile (when the profile is deleted)
+    async removeProfile(profile) {
+      for (const s of await this.list({ profile })) await this.remove(s.id);
+    },
+
+    async clear() {
+      await withStore("readwrite", (os) => os.clear());
+    }
+  };
+})();
@@ -0,0 +1,88 @@
+// sw.js
+// Service worker: keeps the app usable without a network (clinic Wi-Fi drops, patients at home).
+// On install it precaches the pages and scripts ("shell") and the MediaPipe Pose assets the default
+// backend needs; MediaPipe Tasks assets (?pose=tasks) are cached the first time they're fetched.
+//
+//   shell      stale-while-revalidate: served from cache at once, refreshed in the background, so a
+//              deploy shows up on the next load. Only the SHELL paths (and "/"): anything else — a
+//              ?video= file, ?rx= / ?rules= / ?landmarks= JSON fetched with cache: "no-store" — goes
+//              straight to the network
+//   /mediapipe cache-first: the versions are pinned in vercel.json, so cached files never go stale.
+//              Those routes proxy to the CDNs rather than serving copies we host, so precaching
+//              needs jsDelivr and Google Storage reachable once; after that nothing leaves the device
+//
+// Bump VERSION when the shell list changes, MODEL_VERSION with the MediaPipe versions in vercel.json;
+// old caches are dropped on activate. Registered by offline.js.
+
+const VERSION = "v7"; // v7: drops non-shell responses earlier versions stored
+const MODEL_VERSION = "pose-0.5.1675469404";
+const SHELL_CACHE = `rehabify-shell-${VERSION}`;
+const MODEL_CACHE = `rehabify-mediapipe-${MODEL_VERSION}`;
+
+const SHELL = [
+  "calibration.html", "exercise.html", "history.html", "manifest.webmanifest", "icon.svg",
+  "i18n.js", "profiles.js", "calibration-schema.js", "reach-check.js", "calibration.js", "calib-auto.js", "calib-quality.js", "live-feedback.js", "feedback-rules.js",
+  "body-frame.js", "pose-overlay.js", "pose-recorder.js", "pose-source.js", "compensation.js", "movement-quality.js",
+  "exercises.js", "progression.js", "prescription.js", "audio-coach.js", "session-store.js", "asymmetry.js", "session-report.js", "offline.js", "embed.js"
+];
+
+// What @mediapipe/pose loads for modelComplexity 1 on a SIMD-capable browser (nearly all of them;
+// the non-SIMD wasm is cached on first use)
+const MODELS = [
+  "mediapipe/pose/pose.js", "mediapipe/pose/pose_web.binarypb", "mediapipe/pose/pose_landmark_full.tflite",
+  "mediapipe/pose/pose_solution_packed_assets_loader.js", "mediapipe/pose/pose_solution_packed_assets.data",
+  "mediapipe/pose/pose_solution_simd_wasm_bin.js", "mediapipe/pose/pose_solution_simd_wasm_bin.wasm",
+  "mediapipe/pose/pose_solution_simd_wasm_bin.data"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    await (await caches.open(SHELL_CACHE)).addAll(SHELL);
+    // Model files are large: one failing (offline install, CDN hiccup) mustn't block the shell; the
+    // rest are fetched again on first use
+    const models = await caches.open(MODEL_CACHE);
+    await Promise.allSettled(MODELS.map((url) => models.add(url)));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, MODEL_CACHE];
+    for (const key of await caches.keys()) if (key.startsWith("rehabify-") && !keep.includes(key)) await caches.delete(key);
+    await self.clients.claim();
+  })());
+});
+
+const SHELL_PATHS = new Set(["/", ...SHELL.map((p) => `/${p}`)]); // the app is served from the site root (vercel.json)
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request, url = new URL(req.url);
+  // Range requests (video playback) get 206 replies, which the Cache API can't store
+  if (req.method !== "GET" || url.origin !== self.location.origin || req.headers.has("range")) return;
+  if (url.pathname.startsWith("/mediapipe/")) event.respondWith(cacheFirst(req));
+  else if (SHELL_PATHS.has(url.pathname)) event.respondWith(staleWhileRevalidate(req, event));
+});
+
+async function cacheFirst(req) {
+  const cache = await caches.open(MODEL_CACHE);
+  const hit = await cache.match(req);
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.status === 200) await cache.put(req, res.clone());
+  return res;
+}
+
+// Stored and matched without the query (?exercise=…, ?side=…); "/" is calibration.html (vercel.json)
+async function staleWhileRevalidate(req, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const url = new URL(req.url);
+  const key = new URL(url.pathname === "/" ? "calibration.html" : url.pathname, self.location.origin).href;
+  const hit = await cache.match(key);
+  const refresh = fetch(req).then(async (res) => {
+    if (res.status === 200) await cache.put(key, res.clone());
+    return res;
+  });
+  if (hit) { event.waitUntil(refresh.catch(() => {})); return hit; }
+  return refresh;
+}
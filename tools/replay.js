@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// tools/replay.js
+// Headless replay of landmark recordings (pose-recorder.js) through CalibAuto (after the CalibQuality
+// pre-flight, when the recording had it on) and LiveFeedback.
+// No camera, no browser: the browser scripts are loaded into a Node vm with a minimal `window`,
+// and each frame's recorded timestamp drives their clocks.
+//
+//   node tools/replay.js recordings/*.json            check every file's `expect` block
+//   node tools/replay.js --update recordings/x.json   overwrite `expect` with what replay produced
+//   node tools/replay.js --verbose …                  also print every feedback message
+//   node tools/replay.js --rules=my-rules.json …      coach with a rules file (feedback-rules.js) while tuning
+//
+// Calibration files check { leftSaved, rightSaved, step }, max abduction angles (±1°) and the
+// confidence score (±0.05).
+// Exercise files check { reps } exactly and that every message in `expect.messages` was shown.
+// Exit code is 1 when any file fails. recordings/README.md covers adding recordings.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+function loadBrowserScripts(files) {
+  let nowMs = 0;
+  const sandbox = {
+    console: { log() {}, warn: console.warn, error: console.error },
+    performance: { now: () => nowMs },
+    setTimeout: () => 0, clearTimeout() {},
+    navigator: { userAgent: "replay" }
+  };
+  sandbox.window = sandbox;
+  const context = vm.createContext(sandbox);
+  for (const f of files) vm.runInContext(fs.readFileSync(path.join(ROOT, f), "utf8"), context, { filename: f });
+  return { context, setNow: (t) => { nowMs = t; } };
+}
+
+function unpack(frame) {
+  return frame.lm ? frame.lm.map((p) => (p ? { x: p[0], y: p[1], z: p[2], visibility: p[3] } : null)) : null;
+}
+
+function replayCalibration(rec) {
+  const { context } = loadBrowserScripts(["i18n.js", "feedback-rules.js", "live-feedback.js", "body-frame.js", "calib-auto.js", "calib-quality.js"]);
+  let t = 0;
+  const options = rec.meta.options || {};
+  const grid = context.CalibAuto.create({ ...options, clock: () => t });
+  const quality = context.CalibQuality.create({ minVis: options.minVis, clock: () => t });
+  const isMirrored = rec.meta.isMirrored ?? true, aspect = rec.meta.aspect;
+  for (const frame of rec.frames) {
+    t = frame.t;
+    const lm = unpack(frame);
+    if (!lm) continue;
+    // like calibration.js: the ladder only starts once the pre-flight has passed
+    const q = context.CalibQuality.update(quality, lm, { aspect });
+    if (options.preflight && !q.ready) continue;
+    context.CalibAuto.update(grid, lm, { isMirrored, aspect });
+  }
+  const confidence = context.CalibQuality.summary(quality).score;
+  return { leftSaved: grid.leftSaved, rightSaved: grid.rightSaved, step: grid.step, ...context.CalibAuto.romAngles(grid), confidence };
+}
+
+function replayExercise(rec, rules) {
+  const { context, setNow } = loadBrowserScripts(["i18n.js", "feedback-rules.js", "live-feedback.js"]);
+  const lf = vm.runInContext("new LiveFeedback()", context);
+  if (rules) lf.setRules(rules);
+  let t = 0;
+  lf.clock = () => t;
+  if (Number.isFinite(rec.meta.targetY)) lf.targetY = rec.meta.targetY;
+  if (Number.isFinite(rec.meta.neutralY)) lf.neutralY = rec.meta.neutralY;
+
+  const messages = [];
+  let reps = 0;
+  lf.on("feedback", (e) => messages.push(e.message));
+  lf.on("rep", () => { reps++; });
+
+  const exercise = rec.meta.exercise;
+  for (const frame of rec.frames) {
+    t = frame.t; setNow(t);
+    if (frame.reset) lf.resetReps(exercise);
+    if (frame.phase && frame.phase !== lf.phase) lf.setPhase(frame.phase);
+    const lm = unpack(frame);
+    if (lm) lf.provideFeedback(exercise, lm);
+  }
+  return { reps, messages: [...new Set(messages)], allMessages: messages };
+}
+
+function check(rec, actual) {
+  const exp = rec.expect || {};
+  const failures = [];
+  if (rec.kind === "calibration") {
+    for (const k of ["leftSaved", "rightSaved", "step"]) {
+      if (k in exp && exp[k] !== actual[k]) failures.push(`${k}: expected ${exp[k]}, got ${actual[k]}`);
+    }
+    for (const k of ["maxAngleLeft", "maxAngleRight"]) {
+      if (exp[k] != null && Math.abs(exp[k] - (actual[k] ?? -Infinity)) > 1) failures.push(`${k}: expected ${exp[k]}°, got ${actual[k]}°`);
+    }
+    if (exp.confidence != null && Math.abs(exp.confidence - (actual.confidence ?? -Infinity)) > 0.05) failures.push(`confidence: expected ${exp.confidence}, got ${actual.confidence}`);
+  } else {
+    if ("reps" in exp && exp.reps !== actual.reps) failures.push(`reps: expected ${exp.reps}, got ${actual.reps}`);
+    for (const m of exp.messages || []) {
+      if (!actual.messages.includes(m)) failures.push(`missing feedback: "${m}"`);
+    }
+  }
+  return failures;
+}
+
+function main(argv) {
+  const update = argv.includes("--update"), verbose = argv.includes("--verbose");
+  const files = argv.filter((a) => !a.startsWith("--"));
+  const rulesFile = argv.find((a) => a.startsWith("--rules="))?.slice("--rules=".length);
+  let rules = null;
+  if (rulesFile) {
+    const { context } = loadBrowserScripts(["feedback-rules.js"]);
+    let out;
+    try { out = context.FeedbackRules.parse(fs.readFileSync(rulesFile, "utf8")); }
+    catch (e) { out = { rules: null, errors: [e.message] }; }
+    if (!out.rules) { console.error(`✗ ${rulesFile}:\n    ${out.errors.join("\n    ")}`); return 2; }
+    rules = out.rules;
+  }
+  if (!files.length) {
+    console.error("usage: node tools/replay.js [--update] [--verbose] [--rules=<rules.json>] <recording.json>…");
+    return 2;
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    let rec;
+    try { rec = JSON.parse(fs.readFileSync(file, "utf8")); }
+    catch (e) { console.error(`✗ ${file}: ${e.message}`); failed++; continue; }
+    if (rec.format !== "rehabify-landmarks-v1") { console.error(`✗ ${file}: unknown format ${rec.format}`); failed++; continue; }
+
+    const actual = rec.kind === "calibration" ? replayCalibration(rec) : replayExercise(rec, rules);
+    if (verbose && actual.allMessages) actual.allMessages.forEach((m) => console.log(`    · ${m}`));
+
+    if (update) {
+      const { allMessages, ...result } = actual;
+      rec.expect = { ...rec.expect, ...result };
+      fs.writeFileSync(file, JSON.stringify(rec));
+      console.log(`↻ ${file}: expect updated ${JSON.stringify(result)}`);
+      continue;
+    }
+
+    const failures = check(rec, actual);
+    if (failures.length) {
+      failed++;
+      console.log(`✗ ${file} (${rec.kind}, ${rec.frames.length} frames)`);
+      failures.forEach((f) => console.log(`    ${f}`));
+    } else {
+      console.log(`✓ ${file} (${rec.kind}, ${rec.frames.length} frames)`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
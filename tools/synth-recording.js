@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// tools/synth-recording.js
+// Writes the synthetic landmark recordings in recordings/ (pose-recorder.js format) that
+// tools/replay.js checks. A stick figure with seeded landmark noise, so the files come out the same
+// on every run: a full two-arm calibration, standing still with swaying knees, and a few reps of each
+// exercise with the faults its coaching should catch.
+//
+//   node tools/synth-recording.js [name.json …]      regenerate recordings/synthetic-*.json (or just those)
+//   node tools/replay.js --update recordings/synthetic-*.json   then refill the golden values
+//
+// Only the designed outcome goes into `expect` here (saved rungs, step, reps); angles, confidence and
+// feedback messages come from replay itself. Real sessions recorded with ?record=1 sit next to these.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const OUT = path.resolve(__dirname, "..", "recordings");
+const FORMAT = "rehabify-landmarks-v1";
+const ASPECT = 16 / 9;
+const FRAME_MS = 1000 / 15; // the pose model's rate on a mid-range phone
+const NOISE = 0.0015;       // landmark jitter, in heights
+const UPPER_ARM = 0.17, FOREARM = 0.16;
+
+const r4 = (v) => Math.round(v * 1e4) / 1e4;
+
+// mulberry32: a tiny seeded PRNG, Box-Muller on top for gaussian noise
+function rng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { gauss: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()) };
+}
+
+// One frame of raw MediaPipe landmarks (mirrored camera: the patient's left is at larger x).
+// Body coordinates are in heights with x from the frame centre, patient's left positive.
+//   left/right          arm abduction in degrees (0 = hanging, negative = across the body)
+//   leftBend/rightBend  elbow flexion in degrees (the forearm turns further up)
+//   squat               0 (standing) … 1 (mini squat, knees at ~145°)
+//   leftKnee/rightKnee  0 (foot down) … 1 (knee lifted 0.1 above the hip)
+//   tilt                left shoulder this much higher than the right
+const POSE = { left: 10, right: 10, leftBend: 0, rightBend: 0, squat: 0, leftKnee: 0, rightKnee: 0, tilt: 0 };
+
+function pose(q, noise) {
+  const { squat, tilt } = q, drop = 0.1 * squat;
+  const pts = {};
+  const set = (i, x, y, vis = 0.99) => { pts[i] = [x, y, vis]; };
+  set(0, 0, 0.22 + drop);
+  for (const [i, dx, dy] of [[1, 0.015, -0.02], [2, 0.025, -0.02], [3, 0.035, -0.02], [4, -0.015, -0.02], [5, -0.025, -0.02], [6, -0.035, -0.02],
+    [7, 0.05, -0.01], [8, -0.05, -0.01], [9, 0.015, 0.025], [10, -0.015, 0.025]]) set(i, dx, 0.22 + dy + drop);
+  for (const [s, sign, side] of [[0, 1, "left"], [1, -1, "right"]]) {
+    const sx = sign * 0.13, sy = 0.34 + drop - sign * tilt / 2;
+    const a = q[side] * Math.PI / 180, f = a + q[`${side}Bend`] * Math.PI / 180;
+    set(11 + s, sx, sy);
+    const ex = sx + sign * UPPER_ARM * Math.sin(a), ey = sy + UPPER_ARM * Math.cos(a);
+    set(13 + s, ex, ey);
+    const wx = ex + sign * FOREARM * Math.sin(f), wy = ey + FOREARM * Math.cos(f);
+    set(15 + s, wx, wy);
+    for (const [i, d] of [[17, 0.03], [19, 0.035], [21, 0.02]]) set(i + s, wx + sign * d * Math.sin(f), wy + d * Math.cos(f));
+    // knees drift outward and down as the hips sink; a lifted knee rises past the hip, the foot tucked under it
+    const lift = q[`${side}Knee`];
+    set(23 + s, sign * 0.08, 0.62 + drop);
+    const ky = 0.79 + 0.25 * drop - 0.27 * lift, ay = 0.95 - lift * (0.95 - (ky + 0.15));
+    set(25 + s, sign * (0.085 + 0.06 * squat), ky);
+    set(27 + s, sign * 0.085, ay);
+    set(29 + s, sign * 0.085, ay + 0.02, 0.8);
+    set(31 + s, sign * 0.1, ay + 0.03, 0.8);
+  }
+  const lm = [];
+  for (let i = 0; i < 33; i++) {
+    const [x, y, vis] = pts[i];
+    lm.push([r4(0.5 + (x + noise.gauss() * NOISE) / ASPECT), r4(y + noise.gauss() * NOISE), 0, vis]);
+  }
+  return lm;
+}
+
+// Piecewise-linear timeline: [[seconds, { pose fields… }, extra?], …] → frames. A key frame's `extra`
+// (e.g. { phase }) is copied onto every frame from it until the next key frame that has one.
+function frames(keys, seed, extra = {}) {
+  const noise = rng(seed), out = [];
+  const end = keys[keys.length - 1][0];
+  let ext = extra;
+  for (let k = 0, t = 0; t <= end * 1000; k++, t = k * FRAME_MS) {
+    const s = t / 1000, j = keys.findIndex(([at]) => at > s);
+    const i0 = j < 1 ? keys.length - 1 : j - 1, i1 = j < 1 ? keys.length - 1 : j;
+    const [t0, a] = keys[i0], [t1, b] = keys[i1];
+    if (keys[i0][2]) ext = { ...extra, ...keys[i0][2] };
+    const f = t1 > t0 ? (s - t0) / (t1 - t0) : 0;
+    const mix = {};
+    for (const key of Object.keys(POSE)) mix[key] = (a[key] ?? POSE[key]) + f * ((b[key] ?? POSE[key]) - (a[key] ?? POSE[key]));
+    out.push({ t: Math.round(t), lm: pose(mix, noise), ...ext });
+  }
+  return out;
+}
+
+const DOWN = { left: 10, right: 10 };
+const ARMS = (deg) => ({ left: deg, right: deg });
+const UP = { phase: "up" }, WAIT = { phase: "waitDown" };
+const recordings = {
+  // stand still for the pre-flight, then left arm to the top rung and right arm to shoulder height,
+  // each held well past the 5 s ladder hold
+  "synthetic-calibration.json": {
+    kind: "calibration",
+    meta: {
+      synthetic: true, isMirrored: true, aspect: ASPECT,
+      options: {
+        count: 8, yTop: 0.12, yBottom: 0.85, leftX: 0.18, rightX: 0.82, hitRadius: 0.12, holdSeconds: 5,
+        kFrames: 6, maxSpeedPerSec: 0.6, minVis: 0.55, needsHips: true,
+        laneFollow: true, laneAlpha: 0.15, laneClamp: [0.08, 0.92], laneAnchor: "elbow",
+        sides: ["left", "right"], preflight: true
+      }
+    },
+    frames: frames([
+      [0, DOWN], [2.5, DOWN], [3.5, { ...DOWN, left: 130 }], [10, { ...DOWN, left: 130 }], [11, DOWN],
+      [12, DOWN], [13, { ...DOWN, right: 100 }], [19.5, { ...DOWN, right: 100 }], [20.5, DOWN], [21.5, DOWN]
+    ], 1),
+    expect: { leftSaved: 8, rightSaved: 6, step: "done" }
+  },
+  // three slow mini squats: about 1.5 s down, a short hold, 1.5 s up, 2 s standing
+  "synthetic-mini-squats.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "miniSquats", isMirrored: true, targetY: null, neutralY: null },
+    frames: frames([[0, DOWN], [1.5, DOWN], ...[0, 1, 2].flatMap((r) => {
+      const t = 1.5 + r * 5.5;
+      return [[t + 1.5, { ...DOWN, squat: 1 }], [t + 2, { ...DOWN, squat: 1 }], [t + 3.5, DOWN], [t + 5.5, DOWN]];
+    })], 2, { phase: "up" }),
+    expect: { reps: 3 }
+  },
+  // standing with soft knees that sway a little (no squat): knee angles dip to 162–164°
+  "synthetic-standing-still.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "miniSquats", isMirrored: true, targetY: null, neutralY: null },
+    frames: frames([[0, DOWN], ...Array.from({ length: 8 }, (_, i) => [1 + i * 2.5, { ...DOWN, squat: i % 2 ? 0.1 : 0.55 }]), [21, DOWN]], 3, { phase: "up" }),
+    expect: { reps: 0 }
+  },
+  // Arm exercises, each with a few faults the coaching has to catch. shoulderAbduction counts its reps
+  // by star pops (exercise.html), so LiveFeedback counts none; `phase` plays the page's part instead:
+  // "waitDown" from the moment a star would pop until the arms are back down.
+  "synthetic-shoulder-abduction.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "shoulderAbduction", isMirrored: true, targetY: 0.42, neutralY: 0.62 },
+    frames: frames([
+      [0, DOWN, UP], [1, DOWN], [2.5, ARMS(90)], [3.5, ARMS(90), WAIT], [5, DOWN], [6, DOWN, UP],
+      // left arm lags at 60° on the way up and again on the way down
+      [7.5, { left: 60, right: 90 }], [8.5, { left: 60, right: 90 }], [9.5, ARMS(90)], [10.5, ARMS(90), WAIT],
+      [12, { left: 60, right: 10 }], [13, { left: 60, right: 10 }], [14, DOWN], [15, DOWN, UP],
+      // right elbow bent on the way up
+      [16.5, { ...ARMS(90), rightBend: 50 }], [17.5, { ...ARMS(90), rightBend: 50 }], [18.5, ARMS(90)], [19.5, ARMS(90), WAIT], [21, DOWN], [22, DOWN, UP],
+      // shoulders tilted at the top
+      [23.5, { ...ARMS(90), tilt: 0.08 }], [24.5, { ...ARMS(90), tilt: 0.08 }], [25, ARMS(90)], [26, ARMS(90), WAIT], [27.5, DOWN], [28.5, DOWN, UP]
+    ], 4),
+    expect: { reps: 0 }
+  },
+  // four presses from shoulder height: the second one with the left hand short of overhead (not a rep),
+  // the third with the left elbow bent
+  "synthetic-overhead-press.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "overheadPress", isMirrored: true, targetY: null, neutralY: null },
+    frames: frames([
+      [0, ARMS(80)], [1, ARMS(80)], [2, ARMS(170)], [3, ARMS(170)], [4, ARMS(80)], [5, ARMS(80)],
+      [6, { left: 120, right: 170 }], [7, { left: 120, right: 170 }], [8, ARMS(80)], [9, ARMS(80)],
+      [10, { ...ARMS(170), leftBend: 40 }], [11, { ...ARMS(170), leftBend: 40 }], [12, ARMS(80)], [13, ARMS(80)],
+      [14, ARMS(170)], [15, ARMS(170)], [16, ARMS(80)], [17, ARMS(80)]
+    ], 5, UP),
+    expect: { reps: 3 }
+  },
+  // three reaches out to the side at shoulder height (outward, like its stars), the shoulders tilting
+  // during the second
+  "synthetic-forward-reach.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "forwardReach", isMirrored: true, targetY: null, neutralY: null },
+    frames: frames([
+      [0, DOWN], [1, DOWN], [2.5, ARMS(90)], [3.5, ARMS(90)], [5, DOWN], [6, DOWN],
+      [7.5, ARMS(90)], [8.5, { ...ARMS(90), tilt: 0.08 }], [9.5, ARMS(90)], [10.5, ARMS(90)], [12, DOWN], [13, DOWN],
+      [14.5, ARMS(90)], [15.5, ARMS(90)], [17, DOWN], [18, DOWN]
+    ], 6, UP),
+    expect: { reps: 3 }
+  },
+  // six knee lifts, left and right in turn (3 reps), the third one not quite high enough
+  "synthetic-marching.json": {
+    kind: "exercise",
+    meta: { synthetic: true, exercise: "marchingInPlace", isMirrored: true, targetY: null, neutralY: null },
+    frames: frames([
+      [0, DOWN], [1, DOWN],
+      ...[["leftKnee", 1], ["rightKnee", 1], ["leftKnee", 0.88], ["rightKnee", 1], ["leftKnee", 1], ["rightKnee", 1]].flatMap(([knee, lift], i) => {
+        const t = 1 + i * 2.6, up = { ...DOWN, [knee]: lift };
+        return [[t + 0.6, up], [t + 1.2, up], [t + 1.8, DOWN], [t + 2.6, DOWN]];
+      })
+    ], 7, UP),
+    expect: { reps: 3 }
+  }
+};
+
+const only = process.argv.slice(2).map((f) => path.basename(f));
+fs.mkdirSync(OUT, { recursive: true });
+for (const [name, rec] of Object.entries(recordings)) {
+  if (only.length && !only.includes(name)) continue;
+  const file = path.join(OUT, name);
+  fs.writeFileSync(file, JSON.stringify({ format: FORMAT, kind: rec.kind, createdAt: 0, meta: rec.meta, frames: rec.frames, expect: rec.expect }));
+  console.log(`${path.relative(process.cwd(), file)}: ${rec.frames.length} frames`);
+}